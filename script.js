@@ -4,62 +4,764 @@
  * - **No External Search/DB:** Only uses JSON data.
  * - **Player Sticky:** Player remains on top of the screen when scrolling.
  * - **Menu Blue:** Active category button shows blue background.
+ * - **Search:** Indexed fuzzy search over every category (Myanmar & English).
+ * - **Continue Watching:** Persisted watch history; YouTube embeds resume where you stopped.
+ * - **Deep Links:** Hash routes (#/category/<key>, #/watch/<id>) with back/forward support.
+ * - **Offline:** Installable PWA; sw.js serves the shell and last good catalog offline.
+ * - **Player Backends:** YouTube, other iframe embeds, MP4, HLS and DASH behind one interface.
+ * - **Playlists & Queue:** Local playlists, a session play queue and autoplay-next.
+ * - **Backup:** Export/import favorites, playlists, history and settings as a JSON file.
+ * - **Catalog Sources:** Several catalog files (manifest + user-added) fetched in parallel and merged.
+ * - **Category Menu:** Built from the catalog; each category can be sorted and filtered by metadata.
+ * - **Detail Sheet:** Synopsis, cast, tags, series episodes (next-episode) and related titles.
+ * - **Parental Controls:** Hashed PIN with lockout, a maximum rating, and a PIN-gated (or hidden) 18+ entry.
+ * - **Profiles:** Several local profiles, each with its own favorites, settings, history and playlists.
+ * - **Languages:** One file per language in locales/, with fallback chains, placeholders and plural rules.
+ * - **Keyboard & TV Remote:** Arrow/D-pad focus navigation, player shortcuts, focus-trapped modals and ARIA labels.
+ * - **Large Catalogs:** Windowed movie grids that recycle card nodes and lazy-load thumbnails.
+ * - **Catalog Editor:** PIN/flag-gated admin mode to curate a catalog file, with preview, diff and export.
+ * - **Watch Statistics:** Local play/watch-time/finish tracking, a stats panel, stats-driven Trending and an optional collector.
+ * - **Themes:** Dark, light, auto (follows the system) and high-contrast palettes in CSS variables, with custom accent colors.
+ * - **Subtitles & Audio:** SRT/WebVTT subtitles drawn over the player, alternate audio, per-profile caption style.
  */
 
 // Global state variables
 let videos = {};
 let translations = {};
 let favorites = [];
+let watchHistory = [];
+let playlists = [];
+let playQueue = [];
 let currentPlayingMovie = null; 
 let currentSettings = {};
+let movieById = new Map();
+let searchIndex = { entries: [], grams: new Map() };
+let searchQuery = '';
+let appReady = false;
+let catalogSourceStatus = [];
 
 const defaultSettings = {
-    language: 'myanmar',
-    theme: 'dark', // 'dark' or 'light'
+    language: 'my',
+    theme: 'dark', // 'dark' | 'light' | 'auto' (follows the system) | 'contrast'
+    accentColor: '', // '#rrggbb' in place of the theme's gold; '' = the theme's
+    activeColor: '', // '#rrggbb' for the active category chip; '' = the theme's blue
+    statsTrending: false, // Trending and "Because you watched" from this profile's viewing
+    captionLanguage: '', // subtitle language shown by default; '' = off
+    captionSize: 'medium', // 'small' | 'medium' | 'large'
+    captionBackground: 'semi', // 'none' | 'semi' | 'solid'
 };
 
 const ADULT_WEBVIEW_URL = 'https://allkar.vercel.app/';
 
+// Bumped when the movie ID scheme changes; stored favorites are migrated once per bump.
+const ID_SCHEMA_VERSION = 2;
+// Positional IDs of schema 1, frozen from the catalog it shipped with. They
+// numbered every raw entry in order, duplicates included (v2-v10 were all
+// Inception), so they can't be re-derived from today's de-duplicated catalog.
+const LEGACY_MOVIE_IDS = {
+    v1: 'm1sdxducz4l5',
+    v2: 'mc3nvkk91hs', v3: 'mc3nvkk91hs', v4: 'mc3nvkk91hs', v5: 'mc3nvkk91hs', v6: 'mc3nvkk91hs',
+    v7: 'mc3nvkk91hs', v8: 'mc3nvkk91hs', v9: 'mc3nvkk91hs', v10: 'mc3nvkk91hs',
+    v11: 'm13ot70skyty',
+    v12: 'm24spmq4e5iy',
+    v13: 'm2b9k0amwb7o',
+    v14: 'm2xc5sn893b',
+    v15: 'mwf9xjl5usx',
+    v16: 'm15rj6h7p3zk',
+};
+// Playback-only query params that must not change a movie's identity.
+const ID_IGNORED_PARAMS = ['autoplay', 'start', 't', 'mute', 'enablejsapi'];
+
+// Watch history / resume
+const WATCH_HISTORY_LIMIT = 50;
+const CONTINUE_WATCHING_LIMIT = 12;
+const RESUME_MIN_SECONDS = 10;
+const RESUME_END_MARGIN_SECONDS = 15;
+const POSITION_SAVE_INTERVAL_MS = 5000;
+
+// Player backends a movie's optional `type` field may name ('mp4' is accepted as 'video').
+const PLAYER_TYPES = ['youtube', 'iframe', 'video', 'hls', 'dash'];
+// Subtitle file formats a track's optional `format` field may name (otherwise detected).
+const SUBTITLE_FORMATS = ['vtt', 'srt'];
+
+// Content ratings, least to most restricted, with the minimum age for each.
+const RATINGS = [
+    { id: 'G', age: 0 },
+    { id: 'PG', age: 7 },
+    { id: 'PG-13', age: 13 },
+    { id: 'R', age: 16 },
+    { id: '18+', age: 18 },
+];
+// Other common rating labels a catalog may use, mapped to the ones above.
+const RATING_ALIASES = {
+    'ALL': 'G', 'U': 'G', 'TV-Y': 'G', 'TV-G': 'G',
+    'TV-Y7': 'PG', 'TV-PG': 'PG', '7+': 'PG',
+    'TV-14': 'PG-13', '13+': 'PG-13', '12+': 'PG-13',
+    '16+': 'R', 'TV-MA': '18+', 'NC-17': '18+', '18': '18+', 'X': '18+',
+};
+
+// Parental PIN
+const PIN_MIN_LENGTH = 4;
+const PIN_MAX_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 5 * 60 * 1000;
+const PIN_HASH_ITERATIONS = 100000;
+const PARENTAL_UNLOCK_MS = 10 * 60 * 1000;
+
+// Catalog categories that have their own nav tab instead of a menu chip.
+const NAV_CATEGORIES = ['trending'];
+
+const THUMB_PLACEHOLDER = 'https://placehold.co/100x100/1a1a1a/cccccc?text=WY';
+
+// Fallback (English) texts for catalog problems; translated via the same keys.
+const CATALOG_PROBLEM_MESSAGES = {
+    problemInvalidCatalog: 'The "videos" section is missing or not an object.',
+    problemInvalidCategory: 'Category is not a list of movies; skipped.',
+    problemInvalidEntry: 'Entry is not an object; skipped.',
+    problemMissingTitle: 'Missing "title"; skipped.',
+    problemMissingSrc: 'Missing "src"; skipped.',
+    problemInvalidSrc: '"src" is not an embeddable http(s) URL; skipped.',
+    problemRepairedSrc: '"src" converted to an embeddable URL.',
+    problemInvalidType: 'Unknown "type"; the player is picked from the URL instead.',
+    problemRepairedThumb: 'Missing or invalid "thumb"; replaced.',
+    problemDuplicateEntry: 'Duplicate entry; merged into the first one.',
+    problemSourceFailed: 'Source could not be loaded; skipped.',
+    problemInvalidEpisodes: '"episodes" is not a list; ignored.',
+    problemInvalidEpisode: 'Episode without a playable "src"; skipped.',
+    problemInvalidRating: 'Unknown "rating"; treated as unrated.',
+    problemInvalidTracks: '"subtitles" or "audio" is not a list; ignored.',
+    problemInvalidSubtitle: 'Subtitle without an http(s) "src" or a "language"; skipped.',
+    problemInvalidAudioTrack: 'Audio track without a playable "src" or a "language"; skipped.',
+};
+
+// Catalog sources. The manifest lists the curated sources; users can add their own in the profile.
+const CATALOG_MANIFEST_URL = 'catalog-sources.json';
+const DEFAULT_CATALOG_SOURCES = [{ url: 'videos-photos.json', name: 'WY MovieBox' }];
+const CATALOG_FETCH_TIMEOUT_MS = 15000;
+
+// Localization. Each language is one file, locales/<code>.json, listed in locales/index.json.
+const LOCALES_URL = 'locales/';
+const LOCALE_INDEX_URL = 'locales/index.json';
+// Used when the index can't be fetched.
+const DEFAULT_LOCALE_INDEX = { default: 'my', languages: { my: 'မြန်မာ', en: 'English' } };
+// The complete locale that every fallback chain ends at.
+const ROOT_LANGUAGE = 'en';
+// Language names stored by settings and catalogs before locale codes were used.
+const LEGACY_LANGUAGE_CODES = { myanmar: 'my', english: 'en' };
+
 
 // -------------------------------------------------------------------------
 // 1. DATA FETCHING AND INITIALIZATION
 // -------------------------------------------------------------------------
 
 /**
- * Fetches movie data and translations from the JSON file.
+ * Fetches every catalog source in parallel, validates each one and merges
+ * them (see mergeCatalogs for precedence). A failing source is skipped and
+ * reported; only when all of them fail does the load count as an error.
+ * Returns a load report `{ error, problems }` that is shown once settings
+ * (and so the UI language) are known.
  */
 async function loadDataFromJSON() {
+    const report = { error: null, problems: [] };
+    const sources = await getCatalogSources();
+
+    catalogSourceStatus = sources.map(source => ({ ...source, state: 'loading', movieCount: 0, error: null }));
+    const results = await Promise.allSettled(sources.map(source => fetchCatalogSource(source)));
+
+    const loaded = [];
+    const editorCatalogs = [];
+    results.forEach((result, index) => {
+        const status = catalogSourceStatus[index];
+        if (result.status === 'rejected') {
+            console.error(`Failed to load catalog source "${status.name}".`, result.reason);
+            status.state = 'error';
+            status.error = result.reason.message;
+            report.problems.push({ source: status.name, category: '', index: -1, title: '', code: 'problemSourceFailed', action: 'skipped' });
+            return;
+        }
+
+        // The editor works on the file as fetched, so nothing the validator repairs is hidden from it
+        editorCatalogs.push({ url: status.url, ...cloneCatalog(result.value) });
+        const validation = validateCatalog(result.value.videos);
+        validation.problems.forEach(problem => report.problems.push({ source: status.name, ...problem }));
+        status.state = 'ok';
+        status.movieCount = Object.values(validation.videos).reduce((sum, list) => sum + list.length, 0);
+        loaded.push({ url: status.url, videos: validation.videos, translations: result.value.translations });
+    });
+
+    if (loaded.length === 0) {
+        report.error = new Error(catalogSourceStatus.map(status => `${status.name}: ${status.error}`).join('\n') || 'No catalog sources');
+        report.problems = [];
+        console.error("Failed to load JSON data. Content will be empty.");
+    }
+
+    loadedCatalogs = editorCatalogs;
+    const merged = mergeCatalogs(loaded);
+    videos = merged.videos;
+    catalogTranslations = merged.translations;
+    rebuildTranslations();
+    if (loaded.length > 0) {
+        console.log(`Data loaded successfully from ${loaded.length}/${sources.length} catalog source(s). (v3.3)`);
+    }
+    return report;
+}
+
+/**
+ * Fetches one catalog file and resolves its relative URLs against it.
+ */
+async function fetchCatalogSource(source) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CATALOG_FETCH_TIMEOUT_MS);
     try {
-        const response = await fetch('videos_photos.json');
+        const response = await fetch(source.url, { signal: controller.signal });
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         const data = await response.json();
-        videos = data.videos || {};
-        translations = data.translations || {};
-        console.log("Data loaded successfully from JSON. (v3.3)");
+        if (!isPlainObject(data)) {
+            throw new Error('Catalog root is not a JSON object');
+        }
+
+        const baseUrl = new URL(source.url, window.location.href).href;
+        return {
+            videos: resolveCatalogUrls(data.videos, baseUrl),
+            translations: isPlainObject(data.translations) ? normalizeCatalogTranslations(data.translations) : {},
+        };
+    } catch (e) {
+        throw e.name === 'AbortError' ? new Error('Timed out') : e;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Makes relative `src`/`thumb` paths in a remote catalog point next to that
+ * catalog instead of next to this page.
+ */
+function resolveCatalogUrls(rawVideos, baseUrl) {
+    if (!isPlainObject(rawVideos)) return rawVideos;
+
+    const resolved = {};
+    for (const category in rawVideos) {
+        const list = rawVideos[category];
+        resolved[category] = !Array.isArray(list) ? list : list.map(raw => {
+            if (!isPlainObject(raw)) return raw;
+            const movie = { ...raw };
+            const resolve = value => {
+                const trimmed = typeof value === 'string' ? value.trim() : '';
+                if (!trimmed || /^[a-z][\w+.-]*:/i.test(trimmed)) return value;
+                try {
+                    return new URL(trimmed, baseUrl).href;
+                } catch (e) {
+                    return value; // left for validation to report
+                }
+            };
+            ['src', 'thumb'].forEach(field => {
+                if (movie[field] !== undefined) movie[field] = resolve(movie[field]);
+            });
+            ['subtitles', 'audio'].forEach(field => {
+                if (!Array.isArray(movie[field])) return;
+                movie[field] = movie[field].map(track => (isPlainObject(track) ? { ...track, src: resolve(track.src) } : track));
+            });
+            return movie;
+        });
+    }
+    return resolved;
+}
+
+/**
+ * Merges validated catalogs, given in precedence order (manifest order,
+ * then user-added sources):
+ * - Categories are combined; their order follows first appearance.
+ * - A movie with the same ID in the same category is kept once, at the
+ *   position of the higher-precedence source, which also wins for fields
+ *   both define. Fields only the other source has are filled in.
+ * - Translation keys from higher-precedence sources win.
+ */
+function mergeCatalogs(catalogs) {
+    const mergedVideos = {};
+    const mergedTranslations = {};
+    // category -> Map of movie ID -> the merged entry, so each ID is computed once
+    const entriesById = {};
+
+    catalogs.forEach(catalog => {
+        for (const category in catalog.videos) {
+            const list = mergedVideos[category] || (mergedVideos[category] = []);
+            const entries = entriesById[category] || (entriesById[category] = new Map());
+            catalog.videos[category].forEach(movie => {
+                const id = getStableMovieId(movie);
+                const existing = entries.get(id);
+                if (!existing) {
+                    entries.set(id, movie);
+                    list.push(movie);
+                    return;
+                }
+                Object.keys(movie).forEach(key => {
+                    if (existing[key] === undefined) existing[key] = movie[key];
+                });
+            });
+        }
+
+        for (const language in catalog.translations) {
+            if (!isPlainObject(catalog.translations[language])) continue;
+            mergedTranslations[language] = { ...catalog.translations[language], ...mergedTranslations[language] };
+        }
+    });
+
+    return { videos: mergedVideos, translations: mergedTranslations };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Extracts the 11-character video ID from any common YouTube URL form
+ * (embed, watch, shorts, live, youtu.be). Returns null for other URLs.
+ */
+function getYouTubeId(src) {
+    let url;
+    try {
+        url = new URL(src, window.location.href);
+    } catch (e) {
+        return null;
+    }
+
+    const host = url.hostname.replace(/^(www|m)\./, '');
+    let id = null;
+    if (host === 'youtu.be') {
+        id = url.pathname.slice(1);
+    } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+        const match = url.pathname.match(/^\/(?:embed|shorts|live|v)\/([^/]+)/);
+        id = match ? match[1] : url.searchParams.get('v');
+    }
+    return id && /^[\w-]{11}$/.test(id) ? id : null;
+}
+
+/**
+ * Returns the thumbnail URL YouTube serves for a video, or null for other URLs.
+ */
+function getYouTubeThumb(src) {
+    const youTubeId = getYouTubeId(src);
+    return youTubeId ? `https://img.youtube.com/vi/${youTubeId}/hqdefault.jpg` : null;
+}
+
+/**
+ * Returns an iframe-embeddable version of `src`, or null if it cannot be
+ * embedded. YouTube page links are rewritten to their /embed/ form.
+ */
+function toEmbeddableSrc(src) {
+    let url;
+    try {
+        url = new URL(src, window.location.href);
+    } catch (e) {
+        return null;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+
+    const youTubeId = getYouTubeId(url.href);
+    if (youTubeId && !url.pathname.startsWith('/embed/')) {
+        return `https://www.youtube.com/embed/${youTubeId}?autoplay=1`;
+    }
+    return src;
+}
+
+/**
+ * Checks one catalog entry. Returns the cleaned movie (null when it has to be
+ * rejected), its title for reporting and the list of issues found.
+ */
+function validateMovieEntry(raw) {
+    if (!isPlainObject(raw)) {
+        return { movie: null, title: '', issues: [{ code: 'problemInvalidEntry', action: 'rejected' }] };
+    }
+
+    const movie = { ...raw };
+    const issues = [];
+    ['title', 'thumb', 'src'].forEach(field => {
+        if (typeof movie[field] === 'string') movie[field] = movie[field].trim();
+    });
+
+    if (typeof movie.title !== 'string' || !movie.title) {
+        return { movie: null, title: '', issues: [{ code: 'problemMissingTitle', action: 'rejected' }] };
+    }
+
+    // A series may leave out `src` when it lists playable episodes
+    if (movie.episodes !== undefined) {
+        const result = validateEpisodes(movie.episodes);
+        issues.push(...result.issues);
+        if (result.episodes.length > 0) {
+            movie.episodes = result.episodes;
+        } else {
+            delete movie.episodes;
+        }
+    }
+
+    if (!movie.episodes || movie.src) {
+        if (typeof movie.src !== 'string' || !movie.src) {
+            return { movie: null, title: movie.title, issues: [...issues, { code: 'problemMissingSrc', action: 'rejected' }] };
+        }
+
+        const embeddableSrc = toEmbeddableSrc(movie.src);
+        if (!embeddableSrc) {
+            return { movie: null, title: movie.title, issues: [...issues, { code: 'problemInvalidSrc', action: 'rejected' }] };
+        }
+        if (embeddableSrc !== movie.src) {
+            movie.src = embeddableSrc;
+            issues.push({ code: 'problemRepairedSrc', action: 'repaired' });
+        }
+    }
+
+    if (movie.type !== undefined) {
+        const type = String(movie.type).toLowerCase();
+        if (type !== 'mp4' && !PLAYER_TYPES.includes(type)) {
+            delete movie.type;
+            issues.push({ code: 'problemInvalidType', action: 'repaired' });
+        }
+    }
+
+    if (movie.rating !== undefined) {
+        const rating = normalizeRating(movie.rating);
+        if (rating) {
+            movie.rating = rating;
+        } else {
+            delete movie.rating;
+            issues.push({ code: 'problemInvalidRating', action: 'repaired' });
+        }
+    }
+
+    issues.push(...validateMediaTracks(movie));
+
+    let thumbValid = false;
+    if (typeof movie.thumb === 'string' && movie.thumb) {
+        try {
+            thumbValid = /^https?:$/.test(new URL(movie.thumb, window.location.href).protocol);
+        } catch (e) { /* invalid URL */ }
+    }
+    if (!thumbValid) {
+        movie.thumb = getYouTubeThumb(movie.src || movie.episodes[0].src) || THUMB_PLACEHOLDER;
+        issues.push({ code: 'problemRepairedThumb', action: 'repaired' });
+    }
+
+    return { movie, title: movie.title, issues };
+}
+
+/**
+ * Checks a series' `episodes` list, keeping its order. Episodes need a
+ * playable `src`; `title`, `thumb`, `duration` and `type` are optional.
+ */
+function validateEpisodes(rawEpisodes) {
+    if (!Array.isArray(rawEpisodes)) {
+        return { episodes: [], issues: [{ code: 'problemInvalidEpisodes', action: 'rejected' }] };
+    }
+
+    const episodes = [];
+    const issues = [];
+    rawEpisodes.forEach(raw => {
+        const src = isPlainObject(raw) && typeof raw.src === 'string' ? toEmbeddableSrc(raw.src.trim()) : null;
+        if (!src) {
+            issues.push({ code: 'problemInvalidEpisode', action: 'rejected' });
+            return;
+        }
+
+        const episode = { ...raw, src };
+        if (typeof episode.title === 'string') episode.title = episode.title.trim();
+        if (episode.type !== undefined && !PLAYER_TYPES.includes(String(episode.type).toLowerCase()) && String(episode.type).toLowerCase() !== 'mp4') {
+            delete episode.type;
+        }
+        issues.push(...validateMediaTracks(episode));
+        episodes.push(episode);
+    });
+    return { episodes, issues };
+}
+
+/**
+ * Checks the optional `subtitles` ([{ src, language, label?, format? }]) and
+ * `audio` ([{ src, language, label?, type? }]) lists of a movie or episode in
+ * place, dropping tracks that can't be used. Returns the issues found.
+ */
+function validateMediaTracks(entry) {
+    const issues = [];
+
+    ['subtitles', 'audio'].forEach(field => {
+        if (entry[field] === undefined) return;
+        if (!Array.isArray(entry[field])) {
+            delete entry[field];
+            issues.push({ code: 'problemInvalidTracks', action: 'rejected' });
+            return;
+        }
+
+        const tracks = [];
+        entry[field].forEach(raw => {
+            const track = isPlainObject(raw) ? validateMediaTrack(raw, field) : null;
+            if (track) {
+                tracks.push(track);
+            } else {
+                issues.push({ code: field === 'audio' ? 'problemInvalidAudioTrack' : 'problemInvalidSubtitle', action: 'rejected' });
+            }
+        });
+
+        if (tracks.length > 0) {
+            entry[field] = tracks;
+        } else {
+            delete entry[field];
+        }
+    });
+    return issues;
+}
+
+function validateMediaTrack(raw, field) {
+    const language = normalizeTrackLanguage(raw.language);
+    const rawSrc = typeof raw.src === 'string' ? raw.src.trim() : '';
+    if (!language || !rawSrc) return null;
+
+    const track = { ...raw, language };
+    if (typeof track.label === 'string') track.label = track.label.trim();
+    if (!track.label) delete track.label;
+
+    if (field === 'audio') {
+        track.src = toEmbeddableSrc(rawSrc);
+        if (!track.src) return null;
+        if (track.type !== undefined && !PLAYER_TYPES.includes(String(track.type).toLowerCase()) && String(track.type).toLowerCase() !== 'mp4') {
+            delete track.type;
+        }
+        return track;
+    }
+
+    try {
+        const url = new URL(rawSrc, window.location.href);
+        if (!/^https?:$/.test(url.protocol)) return null;
+        track.src = url.href;
+    } catch (e) {
+        return null;
+    }
+    const format = String(track.format || '').toLowerCase();
+    if (SUBTITLE_FORMATS.includes(format)) {
+        track.format = format;
+    } else {
+        delete track.format;
+    }
+    return track;
+}
+
+/**
+ * Validates the raw `videos` object from the catalog: rejects entries that
+ * cannot be played, repairs the ones that can, and collapses duplicates
+ * within a category (same stable ID). Listing one movie in several
+ * categories is allowed.
+ *
+ * Returns `{ videos, problems }`, where each problem names the category,
+ * entry index, title, message code and what was done about it.
+ */
+function validateCatalog(rawVideos) {
+    const cleanVideos = {};
+    const problems = [];
+
+    if (!isPlainObject(rawVideos)) {
+        problems.push({ category: '', index: -1, title: '', code: 'problemInvalidCatalog', action: 'rejected' });
+        return { videos: cleanVideos, problems };
+    }
+
+    for (const category in rawVideos) {
+        const list = rawVideos[category];
+        if (!Array.isArray(list)) {
+            problems.push({ category, index: -1, title: '', code: 'problemInvalidCategory', action: 'rejected' });
+            continue;
+        }
+
+        const kept = new Map();
+        cleanVideos[category] = [];
+
+        list.forEach((raw, index) => {
+            const result = validateMovieEntry(raw);
+            const title = result.title;
+            result.issues.forEach(issue => problems.push({ category, index, title, ...issue }));
+            if (!result.movie) return;
+
+            const movie = result.movie;
+            const id = getStableMovieId(movie);
+            const first = kept.get(id);
+            if (first) {
+                // Keep the first listing, but don't lose fields only the duplicate has
+                Object.keys(movie).forEach(key => {
+                    if (first[key] === undefined) first[key] = movie[key];
+                });
+                problems.push({ category, index, title, code: 'problemDuplicateEntry', action: 'merged' });
+                return;
+            }
+
+            kept.set(id, movie);
+            cleanVideos[category].push(movie);
+        });
+    }
+
+    return { videos: cleanVideos, problems };
+}
+
+/**
+ * Shows what went wrong while loading the catalog in the alert modal and the console.
+ */
+function reportCatalogProblems(report) {
+    const t = getStrings();
+
+    if (report.error) {
+        const message = t.jsonError || 'Could not read the movie data (JSON Error).';
+        showCustomAlert(t.errorTitle || 'Error', message, report.error.message.split('\n'));
+        return;
+    }
+    if (report.problems.length === 0) return;
+
+    const showSource = catalogSourceStatus.length > 1;
+    const lines = report.problems.map(problem => {
+        const where = [
+            showSource ? `[${problem.source}]` : '',
+            problem.index >= 0 ? `${problem.category} #${problem.index + 1}` : problem.category,
+        ].filter(Boolean).join(' ');
+        const what = problem.title ? ` "${problem.title}"` : '';
+        return `${where}${what}: ${t[problem.code] || CATALOG_PROBLEM_MESSAGES[problem.code]}`;
+    });
+
+    console.warn(`Catalog loaded with ${report.problems.length} problem(s):`);
+    console.table(report.problems.map(problem => ({ ...problem, message: CATALOG_PROBLEM_MESSAGES[problem.code] })));
+
+    const summary = translate('catalogProblemsMessage', { count: report.problems.length }, '{count} catalog entries had problems:');
+    showCustomAlert(t.catalogProblemsTitle || 'Catalog Problems', summary, lines);
+}
+
+/**
+ * 53-bit string hash (cyrb53), returned in base 36.
+ */
+function hashString(text, seed = 0) {
+    let h1 = 0xdeadbeef ^ seed;
+    let h2 = 0x41c6ce57 ^ seed;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Reduces a movie src to the part that identifies the content, so the same
+ * video with different playback params (e.g. autoplay=0/1) gets one ID.
+ */
+function canonicalMovieSrc(src) {
+    const raw = String(src || '').trim();
+    try {
+        const url = new URL(raw, window.location.href);
+        ID_IGNORED_PARAMS.forEach(param => url.searchParams.delete(param));
+        url.hash = '';
+        return url.href.replace(/\?$/, '');
     } catch (e) {
-        console.error("Failed to load JSON data. Content will be empty.", e);
-        const t = translations.myanmar || { Error: "Error", jsonError: "ရုပ်ရှင်ဒေတာများ ဖတ်ယူနိုင်ခြင်း မရှိပါ (JSON Error)။" };
-        showCustomAlert(t.Error, t.jsonError);
+        return raw;
     }
 }
 
 /**
- * Generates unique video IDs for all movies after loading data.
+ * Returns the stable ID for a movie: its explicit `id` from the catalog, or
+ * a hash of its canonical src. A series without its own src hashes its first
+ * episode's src; the title is the last resort.
+ */
+function getStableMovieId(movie) {
+    if (typeof movie.id === 'string' && movie.id.trim()) {
+        return movie.id.trim();
+    }
+
+    let key = `title:${movie.title || ''}`;
+    if (movie.src) {
+        key = canonicalMovieSrc(movie.src);
+    } else if (Array.isArray(movie.episodes) && movie.episodes[0] && movie.episodes[0].src) {
+        key = `series:${canonicalMovieSrc(movie.episodes[0].src)}`;
+    }
+    return 'm' + hashString(key);
+}
+
+/**
+ * Generates stable video IDs for all movies after loading data and indexes
+ * them by ID. A movie listed in several categories (e.g. trending and action)
+ * resolves to one identity; the first listing wins.
  */
 function generateVideoIds() {
-    let idCounter = 1;
+    movieById = new Map();
+
     for (const category in videos) {
         videos[category] = videos[category].map(movie => {
-            if (!movie.id) {
-                movie.id = 'v' + idCounter++;
+            movie.id = getStableMovieId(movie);
+
+            const existing = movieById.get(movie.id);
+            if (!existing) {
+                movieById.set(movie.id, movie);
+                if (movie.episodes) registerEpisodes(movie);
+            } else if (existing.src && movie.src && canonicalMovieSrc(existing.src) !== canonicalMovieSrc(movie.src)) {
+                console.warn(`Movie ID collision for "${movie.id}": "${existing.title}" and "${movie.title}".`);
             }
             return movie;
         });
     }
 }
 
+/**
+ * Gives a series' episodes their own IDs so they can be played, resumed and
+ * favorited like movies. Each episode links back to its series.
+ */
+function registerEpisodes(series) {
+    series.episodes = series.episodes.map((raw, index) => {
+        const episodeNumber = index + 1;
+        const episode = {
+            ...raw,
+            id: getStableMovieId(raw),
+            title: `${series.title} · ${raw.title || `E${episodeNumber}`}`,
+            episodeTitle: raw.title || '',
+            episodeNumber,
+            seriesId: series.id,
+            thumb: raw.thumb || series.thumb,
+        };
+        const rating = normalizeRating(raw.rating) || series.rating;
+        if (rating) episode.rating = rating;
+        if (!movieById.has(episode.id)) movieById.set(episode.id, episode);
+        return episode;
+    });
+}
+
+/**
+ * One-time migration of favorites saved with positional IDs (v1, v2, ...) to
+ * the stable IDs (see LEGACY_MOVIE_IDS). Runs once per ID_SCHEMA_VERSION bump.
+ */
+function migrateFavoriteIds() {
+    let storedVersion = 1;
+    try {
+        storedVersion = parseInt(localStorage.getItem('idSchemaVersion'), 10) || 1;
+    } catch (e) { /* Error */ }
+    if (storedVersion >= ID_SCHEMA_VERSION) return;
+
+    const migrated = [];
+    favorites.forEach(id => {
+        const newId = (!movieById.has(id) && Object.hasOwn(LEGACY_MOVIE_IDS, id) && LEGACY_MOVIE_IDS[id]) || id;
+        if (!migrated.includes(newId)) migrated.push(newId);
+    });
+    favorites = migrated;
+    saveFavorites();
+
+    try {
+        localStorage.setItem('idSchemaVersion', String(ID_SCHEMA_VERSION));
+    } catch (e) { /* Error */ }
+}
+
+/**
+ * Loads the catalog again (e.g. after the sources changed) and re-renders
+ * the active view in place, so a playing movie keeps playing.
+ */
+async function reloadCatalog() {
+    const report = await loadDataFromJSON();
+    generateVideoIds();
+    buildSearchIndex();
+    renderCategoryMenu();
+    applySettings();
+    reportCatalogProblems(report);
+    refreshActiveView();
+}
+
 /**
  * Enables all navigation and category buttons after the app is initialized.
  */
@@ -82,39 +784,35 @@ function enableButtons() {
  */
 window.initializeApp = async function() {
     
-    // 1. Load Data
-    await loadDataFromJSON(); 
+    // 1. Load Data (catalog and the list of UI languages)
+    const [loadReport] = await Promise.all([loadDataFromJSON(), loadLocaleIndex()]);
     generateVideoIds(); // IDs are generated after load
+    buildSearchIndex();
 
-    // 2. Load Local State (Settings/Favorites)
-    const storedSettings = localStorage.getItem('userSettings');
-    const storedFavorites = localStorage.getItem('favorites');
-    
-    try {
-        currentSettings = storedSettings ? { ...defaultSettings, ...JSON.parse(storedSettings) } : { ...defaultSettings };
-    } catch (e) {
-        currentSettings = { ...defaultSettings };
-    }
-    
-    try {
-        favorites = storedFavorites ? JSON.parse(storedFavorites) : [];
-        if (!Array.isArray(favorites)) favorites = [];
-    } catch (e) {
-        favorites = [];
+    // 2. Load Local State of the active profile (Settings/Favorites/History/Playlists)
+    loadParentalControls();
+    await loadProfiles();
+    loadProfileState();
+    currentSettings.language = normalizeLanguage(currentSettings.language);
+    await ensureLocale(currentSettings.language);
+
+    // Only migrate when the catalog actually loaded; otherwise retry next launch
+    if (movieById.size > 0) {
+        migrateFavoriteIds();
     }
     
-    // 3. Apply Settings (Theme and Language)
+    // 3. Build the category menu and apply Settings (Theme and Language)
+    renderCategoryMenu();
     applySettings();
+    updateProfileBadge();
+    reportCatalogProblems(loadReport);
     
     // 4. Enable Buttons
     enableButtons(); 
     
-    const homeBtn = document.querySelector('.nav-btn[data-nav="home"]');
-    if (homeBtn) {
-        changeNav(homeBtn); 
-    } else {
-         console.error("Home navigation button not found.");
-    }
+    // 5. Restore the view (category, tab or movie) from the URL
+    appReady = true;
+    applyRoute(parseRoute(window.location.hash));
 }
 
 
@@ -124,7 +822,13 @@ window.initializeApp = async function() {
 
 function saveFavorites() {
     try {
-        localStorage.setItem('favorites', JSON.stringify(favorites));
+        localStorage.setItem(profileKey('favorites'), JSON.stringify(favorites));
+    } catch (e) { /* Error */ }
+}
+
+function saveSettings() {
+    try {
+        localStorage.setItem(profileKey('userSettings'), JSON.stringify(currentSettings));
     } catch (e) { /* Error */ }
 }
 
@@ -146,6 +850,8 @@ window.toggleFavorite = function() {
     const activeNav = document.querySelector('.nav-btn.text-primary')?.dataset.nav;
     if (activeNav === 'favorites') {
         displayFavorites();
+    } else {
+        refreshMovieCards(movieId);
     }
 }
 
@@ -153,6 +859,7 @@ function updateFavoriteButtonState(movieId) {
     const favoriteBtn = document.getElementById('favorite-btn');
     if (!favoriteBtn) return;
 
+    favoriteBtn.setAttribute('aria-pressed', String(favorites.includes(movieId)));
     if (favorites.includes(movieId)) {
         favoriteBtn.classList.add('text-red-500');
         favoriteBtn.classList.remove('text-gray-500');
@@ -171,46 +878,37 @@ function updateFavoriteButtonState(movieId) {
  * Applies language and theme settings.
  */
 function applySettings() {
+    currentSettings.language = normalizeLanguage(currentSettings.language);
     const lang = currentSettings.language;
-    const body = document.getElementById('body-root');
-    
-    // Theme Application
-    if (currentSettings.theme === 'light') {
-        body.classList.add('light-mode');
-        document.getElementById('header-sticky').classList.remove('bg-darkbg');
-        document.getElementById('header-sticky').classList.add('bg-midbg');
-    } else {
-        body.classList.remove('light-mode');
-        document.getElementById('header-sticky').classList.remove('bg-midbg');
-        document.getElementById('header-sticky').classList.add('bg-darkbg');
+
+    applyTheme();
+
+    // Language Application (a language that isn't loaded yet re-applies once it is)
+    if (!translations[lang]) {
+        ensureLocale(lang).then(() => {
+            if (currentSettings.language !== lang) return;
+            applySettings();
+            refreshActiveView();
+        });
     }
+    document.documentElement.lang = lang;
+    applyTranslations();
+    applyCaptionStyle();
 
-    // Language Application
-    document.querySelectorAll('[data-i18n]').forEach(el => {
-        const key = el.dataset.i18n;
-        if (translations[lang] && translations[lang][key]) {
-            el.textContent = translations[lang][key];
-        } else if (translations.myanmar && translations.myanmar[key]) {
-             el.textContent = translations.myanmar[key]; 
-        }
+    document.querySelectorAll('.menu-btn').forEach(btn => {
+        btn.textContent = getCategoryLabel(btn.dataset.category);
     });
 }
 
 /**
- * Saves and changes the application theme.
+ * Saves and changes the application theme. Views follow the CSS variables,
+ * so nothing has to be re-rendered.
  */
 window.changeTheme = function(theme) {
+    if (!THEMES.includes(theme)) return;
     currentSettings.theme = theme;
-    try {
-        localStorage.setItem('userSettings', JSON.stringify(currentSettings));
-    } catch (e) { /* Error */ }
-    
-    applySettings();
-    
-    const activeNavBtn = document.querySelector('.nav-btn.text-primary');
-    if (activeNavBtn) {
-        changeNav(activeNavBtn);
-    }
+    saveSettings();
+    applyTheme();
 }
 
 
@@ -232,14 +930,22 @@ window.changeNav = function(btn) {
     btn.classList.add('text-primary', 'font-bold');
     btn.classList.remove('text-gray-400', 'hover:text-white'); 
 
+    // Search results belong to the home view; leaving it drops the query
+    if (nav !== 'home') {
+        clearSearch();
+    }
+    if (nav !== 'profile') {
+        catalogEditorOpen = false;
+    }
+
     // Reset grid/flex properties before content load
     moviesContainer.innerHTML = '';
     
-    // Header/Player visibility and Layout Control
-    if (nav === 'profile') {
+    // Header/Player visibility and Layout Control (playlists keep the player visible)
+    if (nav === 'profile' || nav === 'playlists') {
         menuBar.classList.add('hidden');
-        playerContainer.classList.add('hidden');
-        if (currentTitleBar) currentTitleBar.classList.add('hidden'); 
+        playerContainer.classList.toggle('hidden', nav === 'profile');
+        if (currentTitleBar) currentTitleBar.classList.toggle('hidden', nav === 'profile'); 
         
         moviesContainer.classList.remove('grid', 'grid-cols-2', 'sm:grid-cols-3', 'md:grid-cols-4', 'lg:grid-cols-5', 'gap-2', 'justify-items-center', 'px-0');
         moviesContainer.classList.add('flex', 'flex-col', 'w-full', 'pt-4'); 
@@ -256,18 +962,22 @@ window.changeNav = function(btn) {
     // Load Content
     switch (nav) {
         case 'home':
-            const activeCategoryBtn = document.querySelector('.menu-btn.active-category') || document.querySelector('.menu-btn[data-category="action"]');
+            if (searchQuery) {
+                syncRoute('/home');
+                displaySearchResults();
+                break;
+            }
+            const activeCategoryBtn = document.querySelector('.menu-btn.active-category') || document.querySelector('.menu-btn');
             if (activeCategoryBtn) {
                 showCategory(activeCategoryBtn.dataset.category, activeCategoryBtn);
-            } else if (videos.action) {
-                 showCategory('action', document.querySelector('.menu-btn[data-category="action"]'));
             } else {
-                const t = translations[currentSettings.language] || translations.myanmar;
+                const t = getStrings();
                 moviesContainer.innerHTML = `<h2 class="text-xl font-bold text-center w-full mb-4 text-white/80 col-span-full">${t.noContent || 'No Content Available'}</h2>`; 
             }
             break;
 
         case 'trending':
+            syncRoute('/trending');
             document.querySelectorAll('.menu-btn').forEach(btn => {
                 btn.classList.remove('active-category', 'active-category-blue', 'text-white', 'bg-gray-800');
                 btn.classList.add('bg-gray-800', 'text-white', 'hover:bg-gray-700');
@@ -276,6 +986,7 @@ window.changeNav = function(btn) {
             break;
 
         case 'favorites':
+            syncRoute('/favorites');
             document.querySelectorAll('.menu-btn').forEach(btn => {
                 btn.classList.remove('active-category', 'active-category-blue', 'text-white', 'bg-gray-800');
                 btn.classList.add('bg-gray-800', 'text-white', 'hover:bg-gray-700');
@@ -283,26 +994,34 @@ window.changeNav = function(btn) {
             displayFavorites();
             break;
 
+        case 'playlists':
+            syncRoute('/playlists');
+            openPlaylistId = null;
+            displayPlaylists();
+            break;
+
         case 'profile':
+            syncRoute(catalogEditorOpen ? '/profile/catalog' : '/profile');
             document.querySelectorAll('.menu-btn').forEach(btn => {
                 btn.classList.remove('active-category', 'active-category-blue', 'text-white', 'bg-gray-800');
                 btn.classList.add('bg-gray-800', 'text-white', 'hover:bg-gray-700');
             });
-            displayProfileSettings();
+            if (catalogEditorOpen) {
+                displayCatalogEditor();
+            } else {
+                displayProfileSettings();
+            }
             break;
     }
 }
 
-window.changeLanguage = function(lang) {
+window.changeLanguage = async function(lang) {
+    lang = normalizeLanguage(lang);
+    await ensureLocale(lang);
     currentSettings.language = lang;
-    try {
-        localStorage.setItem('userSettings', JSON.stringify(currentSettings));
-    } catch (e) { /* Error */ }
+    saveSettings();
     applySettings();
-    const activeNavBtn = document.querySelector('.nav-btn.text-primary');
-    if (activeNavBtn) {
-        changeNav(activeNavBtn);
-    }
+    refreshActiveView();
 }
 
 
@@ -314,6 +1033,8 @@ window.changeLanguage = function(lang) {
  * Renders movies for a selected category, applying the blue active color.
  */
 window.showCategory = function(category, btn) {
+    clearSearch();
+
     const moviesContainer = document.getElementById('movies');
     moviesContainer.innerHTML = '';
     
@@ -329,16 +1050,19 @@ window.showCategory = function(category, btn) {
         btn.classList.remove('bg-gray-800', 'hover:bg-gray-700');
     }
 
+    syncRoute(`/category/${encodeURIComponent(category)}`);
+
+    renderContinueWatchingRow(moviesContainer);
+    renderBecauseYouWatchedRow(moviesContainer);
+
     const moviesList = videos[category] || [];
     if (moviesList.length === 0) {
-        const t = translations[currentSettings.language] || translations.myanmar;
-        moviesContainer.innerHTML = `<h2 class="text-xl font-bold text-center w-full mb-4 text-white/80 col-span-full">${t.noContent || 'No Content Available'}</h2>`;
+        const t = getStrings();
+        moviesContainer.insertAdjacentHTML('beforeend', `<h2 class="text-xl font-bold text-center w-full mb-4 text-white/80 col-span-full">${t.noContent || 'No Content Available'}</h2>`);
         return;
     }
 
-    moviesList.forEach(movie => {
-        moviesContainer.appendChild(createMovieCard(movie));
-    });
+    renderCategoryMovies(moviesContainer, category);
 };
 
 /**
@@ -352,20 +1076,21 @@ function displayTrending() {
     });
 
     const moviesContainer = document.getElementById('movies');
-    const t = translations[currentSettings.language] || translations.myanmar;
+    const t = getStrings();
     
-    const trendingMovies = videos.trending || []; 
+    const trendingMovies = getCategorySource('trending'); 
     
     moviesContainer.innerHTML = `<h2 class="text-xl font-bold text-center w-full mb-4 text-white/80 col-span-full">${t.trendingTitle || 'Trending Movies'}</h2>`;
+    if (currentSettings.statsTrending) {
+        moviesContainer.insertAdjacentHTML('beforeend', `<p class="text-center w-full text-xs text-gray-400 -mt-3 mb-3 col-span-full">${t.trendingFromStats || 'Based on what you watched recently'}</p>`);
+    }
     
     if (trendingMovies.length === 0) {
         moviesContainer.innerHTML += `<p class="text-center w-full text-gray-500 col-span-full">${t.noContent || 'No Content Available'}</p>`;
         return;
     }
 
-    trendingMovies.forEach(movie => {
-        moviesContainer.appendChild(createMovieCard(movie));
-    });
+    renderCategoryMovies(moviesContainer, 'trending');
 }
 
 function displayFavorites() {
@@ -376,9 +1101,9 @@ function displayFavorites() {
     });
 
     const moviesContainer = document.getElementById('movies');
-    const t = translations[currentSettings.language] || translations.myanmar;
+    const t = getStrings();
 
-    const favoriteMovies = favorites.map(id => findMovieById(id)).filter(movie => movie !== null);
+    const favoriteMovies = favorites.map(id => findMovieById(id)).filter(movie => movie !== null && isMovieAllowed(movie));
     
     moviesContainer.innerHTML = `<h2 class="text-xl font-bold text-center w-full mb-4 text-white/80 col-span-full">${t.favoritesTitle || 'My Favorites'}</h2>`;
 
@@ -387,9 +1112,9 @@ function displayFavorites() {
         return;
     }
 
-    favoriteMovies.forEach(movie => {
-        moviesContainer.appendChild(createMovieCard(movie));
-    });
+    moviesContainer.insertAdjacentHTML('beforeend', renderPlayAllButton('playAllFavorites()'));
+
+    appendMovieGrid(moviesContainer, favoriteMovies);
 }
 
 /**
@@ -403,11 +1128,13 @@ function displayProfileSettings() {
     });
     
     const moviesContainer = document.getElementById('movies');
-    const t = translations[currentSettings.language] || translations.myanmar;
+    const t = getStrings();
     
     moviesContainer.innerHTML = `
         <div class="max-w-md mx-auto w-full space-y-6">
             <h2 class="text-3xl font-bold text-primary">${t.profileTitle || 'User Profile'}</h2>
+
+            ${renderProfilesCard(t)}
             
             <div class="p-4 bg-gray-800 rounded-lg shadow-lg">
                 <h3 class="text-xl font-semibold mb-3">${t.settingsTitle || 'Settings'}</h3>
@@ -415,28 +1142,63 @@ function displayProfileSettings() {
                 <div class="flex justify-between items-center mb-4">
                     <p>${t.themeLabel || 'Theme:'}</p>
                     <select id="theme-select" onchange="changeTheme(this.value)" class="bg-gray-700 text-white p-2 rounded">
-                        <option value="dark" ${currentSettings.theme === 'dark' ? 'selected' : ''}>Dark</option>
-                        <option value="light" ${currentSettings.theme === 'light' ? 'selected' : ''}>Light</option>
+                        ${renderThemeOptions(t)}
                     </select>
                 </div>
 
+                ${renderThemeColorRow(t, 'accentColor', t.accentColorLabel || 'Accent color:')}
+
+                ${renderThemeColorRow(t, 'activeColor', t.activeColorLabel || 'Active category:')}
+
                 <div class="flex justify-between items-center mb-4">
                     <p>${t.languageLabel || 'Language:'}</p>
                     <select id="language-select" onchange="changeLanguage(this.value)" class="bg-gray-700 text-white p-2 rounded">
-                        <option value="myanmar" ${currentSettings.language === 'myanmar' ? 'selected' : ''}>${t.langMyanmar || 'Myanmar'}</option>
-                        <option value="english" ${currentSettings.language === 'english' ? 'selected' : ''}>${t.langEnglish || 'English'}</option>
+                        ${renderLanguageOptions()}
                     </select>
                 </div>
                 
-                <button onclick="localStorage.clear(); window.location.reload();" class="mt-4 w-full bg-red-600 hover:bg-red-700 text-white font-bold py-2 rounded transition duration-200">
+                <div class="flex justify-between items-center mb-4">
+                    <p>${t.historyTitle || 'Watch History:'} <span class="text-gray-400 text-sm">${translate('historyCount', { count: watchHistory.length }, '{count} movies')}</span></p>
+                    <button onclick="clearWatchHistory()" class="bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 px-3 rounded transition duration-200" ${watchHistory.length === 0 ? 'disabled' : ''}>
+                        ${t.clearHistory || 'Clear'}
+                    </button>
+                </div>
+
+            </div>
+
+            ${renderCaptionSettingsCard(t)}
+
+            ${renderWatchStatsCard(t)}
+
+            ${renderParentalControlsCard(t)}
+
+            ${renderCatalogSourcesCard(t)}
+
+            ${renderCatalogEditorCard(t)}
+
+            <div class="p-4 bg-gray-800 rounded-lg shadow-lg">
+                <h3 class="text-xl font-semibold mb-1">${t.backupTitle || 'Backup'}</h3>
+                <p class="text-sm text-gray-400 mb-3">${t.backupHint || 'Move your favorites, playlists, history and settings to another device.'}</p>
+
+                <div class="flex space-x-2">
+                    <button onclick="exportBackup()" class="flex-1 bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 rounded transition duration-200">
+                        ${t.exportBackup || 'Export'}
+                    </button>
+                    <label role="button" tabindex="0" class="flex-1 bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 rounded transition duration-200 text-center cursor-pointer">
+                        ${t.importBackup || 'Import'}
+                        <input type="file" accept="application/json,.json" class="hidden" onchange="importBackupFile(this.files[0]); this.value = '';">
+                    </label>
+                </div>
+
+                <button onclick="confirmResetAppData()" class="mt-4 w-full bg-red-600 hover:bg-red-700 text-white font-bold py-2 rounded transition duration-200">
                     ${t.resetData || 'Reset App Data'}
                 </button>
             </div>
 
-            <button onclick="openAdultWebview()" class="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-3 rounded-lg shadow-xl flex items-center justify-center space-x-2 transition duration-200">
+            ${parentalControls.hideAdultEntry ? '' : `<button onclick="openAdultWebview()" class="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-3 rounded-lg shadow-xl flex items-center justify-center space-x-2 transition duration-200">
                 <span class="text-xl">🔞</span>
-                <span class="text-lg" data-i18n="adultContent">လူကြီးကားများကြည့်ရန် (18+)</span>
-            </button>
+                <span class="text-lg">${t.adultContent || 'Adult Content (18+)'}</span>
+            </button>`}
         </div>
     `;
 
@@ -449,65 +1211,188 @@ function displayProfileSettings() {
 // -------------------------------------------------------------------------
 
 /**
- * Creates the HTML element for a single movie card.
+ * Creates the HTML element for a single movie card. The markup doesn't
+ * depend on the movie (handlers read the card's data-movie-id), so the
+ * virtualized grid can recycle a card for another movie via updateMovieCard.
  */
 function createMovieCard(movie) {
-    const movieId = movie.id; 
-    const isFav = favorites.includes(movieId); 
-    const t = translations[currentSettings.language] || translations.myanmar;
+    const t = getStrings();
     const card = document.createElement('div');
-    const bgColorClass = currentSettings.theme === 'light' ? 'bg-white' : 'bg-gray-800';
     
-    card.className = `movie-card-bg ${bgColorClass} rounded-lg shadow-md hover:shadow-primary/50 transition duration-300 transform hover:scale-[1.03] overflow-hidden cursor-pointer w-full flex flex-col`;
-    card.setAttribute('data-movie-id', movieId);
+    card.className = `movie-card-bg bg-gray-800 relative rounded-lg shadow-md hover:shadow-primary/50 transition duration-300 transform hover:scale-[1.03] overflow-hidden cursor-pointer w-full flex flex-col`;
 
-    // aspect-video (16:9) ratio
+    // aspect-video (16:9) ratio. The ⋮ button sits beside (not inside) the
+    // thumbnail, which is itself a button for keyboard and screen-reader users.
+    // The gray box is the placeholder the thumbnail fades in over.
     card.innerHTML = `
-        <div class="relative w-full aspect-video" onclick="window.playVideo('${movieId}')"> 
-            <img src="${movie.thumb}" alt="${movie.title}" onerror="this.onerror=null;this.src='https://placehold.co/100x100/1a1a1a/cccccc?text=WY'" class="w-full h-full object-cover rounded-t-lg absolute">
-            ${isFav ? `<div class="absolute top-1 left-1 text-primary z-10">
-                <svg xmlns="http://www.w3.org/2000/svg" class="w-5 h-5" viewBox="0 0 24 24" fill="currentColor" stroke="none"><path d="M19 14c1.49-1.46 3-3.21 3-5.5A5.5 5.5 0 0 0 16.5 3c-1.76 0-3 .5-4.5 2-1.5-1.5-2.74-2-4.5-2A5.5 5.5 0 0 0 2 8.5c0 2.3 1.5 4.05 3 5.5l7 7Z"/></svg>
-            </div>` : ''}
+        <div class="movie-card-thumb relative w-full aspect-video bg-gray-700" role="button" tabindex="0" onclick="openMovieDetail(getCardMovieId(this))"> 
+            <img alt="" loading="lazy" decoding="async" onload="this.classList.remove('opacity-0')" onerror="if (this.src !== THUMB_PLACEHOLDER) this.src = THUMB_PLACEHOLDER" class="w-full h-full object-cover rounded-t-lg absolute opacity-0 transition-opacity duration-300">
+            <div class="movie-card-fav hidden absolute top-1 left-1 text-primary z-10" role="img" aria-label="${t.inFavorites || 'In favorites'}">
+                <svg xmlns="http://www.w3.org/2000/svg" class="w-5 h-5" viewBox="0 0 24 24" fill="currentColor" stroke="none" aria-hidden="true"><path d="M19 14c1.49-1.46 3-3.21 3-5.5A5.5 5.5 0 0 0 16.5 3c-1.76 0-3 .5-4.5 2-1.5-1.5-2.74-2-4.5-2A5.5 5.5 0 0 0 2 8.5c0 2.3 1.5 4.05 3 5.5l7 7Z"/></svg>
+            </div>
         </div>
+        <button onclick="openMovieActions(getCardMovieId(this))" class="movie-card-actions absolute top-1 right-1 z-10 bg-black/60 hover:bg-black/80 text-white rounded-full w-6 h-6 flex items-center justify-center text-sm leading-none" title="${t.movieActions || 'More'}" aria-haspopup="dialog">⋮</button>
         <div class="p-1 flex flex-col justify-between flex-grow">
-            <p class="text-[0.6rem] font-medium leading-tight mb-1 truncate">${movie.title}</p> 
-            <button onclick="window.playVideo('${movieId}')" class="mt-1 text-[0.6rem] font-semibold text-primary hover:text-black hover:bg-primary transition duration-200 py-1 px-1 rounded-full border border-primary">
+            <p class="movie-card-title text-[0.6rem] font-medium leading-tight mb-1 truncate"></p> 
+            <button onclick="window.playVideo(getCardMovieId(this))" class="movie-card-play mt-1 text-[0.6rem] font-semibold text-primary hover:text-black hover:bg-primary transition duration-200 py-1 px-1 rounded-full border border-primary">
                 ${t.nowPlaying || 'Play Now'}
             </button>
         </div>
     `;
+    updateMovieCard(card, movie);
     return card;
 }
 
 /**
- * Plays a video in the iframe.
+ * Points a card at `movie`: title, thumbnail, labels and favorite badge.
+ */
+function updateMovieCard(card, movie) {
+    card.dataset.movieId = movie.id;
+    card.querySelector('.movie-card-thumb').setAttribute('aria-label', translate('movieDetailsFor', { title: movie.title }, 'Details for {title}'));
+    card.querySelector('.movie-card-actions').setAttribute('aria-label', translate('movieActionsFor', { title: movie.title }, 'More options for {title}'));
+    card.querySelector('.movie-card-play').setAttribute('aria-label', translate('playMovie', { title: movie.title }, 'Play {title}'));
+    card.querySelector('.movie-card-title').textContent = movie.title;
+    card.querySelector('.movie-card-fav').classList.toggle('hidden', !favorites.includes(movie.id));
+
+    const img = card.querySelector('img');
+    if (img.getAttribute('src') !== movie.thumb) {
+        // Back to the placeholder until the new thumbnail has loaded
+        img.classList.add('opacity-0');
+        img.setAttribute('src', movie.thumb);
+    }
+}
+
+function getCardMovieId(el) {
+    return el.closest('[data-movie-id]').dataset.movieId;
+}
+
+/**
+ * Updates every rendered card of one movie in place (e.g. its favorite
+ * badge) instead of re-rendering the view.
+ */
+function refreshMovieCards(movieId) {
+    const movie = findMovieById(movieId);
+    if (!movie) return;
+    document.querySelectorAll('.movie-card-bg').forEach(card => {
+        if (card.dataset.movieId === movieId) updateMovieCard(card, movie);
+    });
+}
+
+/**
+ * Plays a movie with the player backend that fits its source.
  */
 window.playVideo = function(movieId) {
     const movie = findMovieById(movieId);
     
     if (!movie) {
-        showCustomAlert("Error", "ရုပ်ရှင်ဒေတာရှာမတွေ့ပါ");
+        const t = getStrings();
+        showCustomAlert(t.errorTitle || 'Error', t.movieNotFound || 'This movie could not be found.');
+        return;
+    }
+
+    if (!isMovieAllowed(movie)) {
+        unlockParentalControls().then(unlocked => {
+            if (unlocked) playVideo(movieId);
+        });
+        return;
+    }
+
+    // A series without its own src plays the episode to continue with
+    if (movie.episodes && !movie.src) {
+        playVideo(getContinueEpisode(movie).id);
         return;
     }
     
+    // Remember where the previous movie stopped before switching
+    stopPositionTracking();
+
     currentPlayingMovie = movie;
+    const resumeAt = getResumePosition(movie.id);
+    recordWatchStart(movie);
+    startStatsSession(movie);
 
-    document.getElementById('iframePlayer').src = movie.src;
+    loadPlayer(movie, resumeAt);
+    setupMediaTracks(movie);
     document.getElementById('current-movie-title').textContent = movie.title;
+    startPositionTracking();
+    updateNextEpisodeButton();
+    syncRoute(`/watch/${encodeURIComponent(movie.id)}`);
     
     updateFavoriteButtonState(movieId);
 }
 
 
 function findMovieById(id) {
-    for (const category in videos) {
-        const movie = videos[category].find(movie => movie.id === id);
-        if (movie) return movie;
-    }
-    return null;
+    return movieById.get(id) || null;
+}
+
+/**
+ * Escapes user-provided text before it is interpolated into innerHTML.
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Shows the custom alert modal. `details` is an optional list of lines
+ * (e.g. per-entry problems) rendered below the message.
+ */
+function showCustomAlert(title, message, details = []) {
+    showActionDialog(title, message, [{ label: getStrings().ok || 'OK', style: 'primary' }], details);
+}
+
+/**
+ * Shows the alert modal with a list of action buttons. Each action is
+ * `{ label, onClick, style }` (style: 'primary' | 'secondary' | 'danger');
+ * every button closes the modal before running its `onClick`.
+ */
+function showActionDialog(title, message, actions, details = []) {
+    const modal = document.getElementById('custom-alert-modal');
+    const detailsList = document.getElementById('alert-details');
+    const actionsContainer = document.getElementById('alert-actions');
+
+    document.getElementById('alert-title').textContent = title;
+    document.getElementById('alert-message').textContent = message;
+
+    detailsList.innerHTML = '';
+    details.forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        detailsList.appendChild(item);
+    });
+    detailsList.classList.toggle('hidden', details.length === 0);
+
+    const styles = {
+        primary: 'bg-primary text-black hover:bg-opacity-90',
+        secondary: 'bg-gray-700 text-white hover:bg-gray-600',
+        danger: 'bg-red-600 text-white hover:bg-red-700',
+    };
+    actionsContainer.innerHTML = '';
+    actions.forEach(action => {
+        const button = document.createElement('button');
+        button.className = `w-full font-semibold py-2 rounded-lg transition duration-200 ${styles[action.style] || styles.secondary}`;
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            closeCustomAlert();
+            if (action.onClick) action.onClick();
+        });
+        actionsContainer.appendChild(button);
+    });
+
+    modal.classList.remove('hidden');
+    trapFocus(modal, closeCustomAlert);
 }
 
-// ... (toggleFullScreen, showCustomAlert, closeCustomAlert functions remain the same) ...
+window.closeCustomAlert = function() {
+    const modal = document.getElementById('custom-alert-modal');
+    modal.classList.add('hidden');
+    releaseFocus(modal);
+}
 
 
 // -------------------------------------------------------------------------
@@ -515,15 +1400,20 @@ function findMovieById(id) {
 // -------------------------------------------------------------------------
 
 /**
- * Opens the full-screen iframe modal to the adult content URL.
+ * Opens the full-screen iframe modal to the adult content URL, after the
+ * parental PIN (or, without a PIN, an age confirmation).
  */
-window.openAdultWebview = function() {
+window.openAdultWebview = async function() {
+    if (parentalControls.hideAdultEntry) return;
+    if (!(await confirmAdultAccess())) return;
+
     const modal = document.getElementById('adult-webview-modal');
     const iframe = document.getElementById('adultWebviewIframe');
     
     iframe.src = ADULT_WEBVIEW_URL;
     modal.classList.remove('hidden');
     document.body.style.overflow = 'hidden';
+    trapFocus(modal, closeAdultWebview);
 }
 
 /**
@@ -536,10 +1426,5167 @@ window.closeAdultWebview = function() {
     iframe.src = 'about:blank'; 
     modal.classList.add('hidden');
     document.body.style.overflow = '';
+    releaseFocus(modal);
+}
+
+
+// -------------------------------------------------------------------------
+// 7. SEARCH (Fuzzy, indexed across all categories - Myanmar & English)
+// -------------------------------------------------------------------------
+
+// Fields that are indexed when present on a movie entry. Arrays (e.g. tags) are joined.
+const SEARCH_FIELDS = ['title', 'genre', 'genres', 'description', 'synopsis', 'tags', 'cast'];
+const SEARCH_MIN_SCORE = 0.45;
+const SEARCH_DEBOUNCE_MS = 150;
+let searchDebounceTimer = null;
+
+/**
+ * Normalizes text for matching: folds case and Latin accents, strips zero-width
+ * characters and punctuation (incl. Myanmar ၊ ။) and puts the dependent signs that
+ * follow a Myanmar consonant into a fixed order, so the same word typed with a
+ * different mark order still matches.
+ */
+function normalizeSearchText(text) {
+    return String(text)
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC')
+        .toLowerCase()
+        .replace(/[\u200B-\u200D\u2060\uFEFF]/g, '')
+        .replace(/[\u102B-\u103E\u1056-\u1059\u105E-\u1060\u1062-\u1064\u1067-\u106D\u1071-\u1074\u1082-\u108D\u108F\u109A-\u109D]+/g,
+            marks => [...marks].sort().join(''))
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Splits normalized text into padded character trigrams. Working on characters
+ * rather than words keeps Myanmar (which rarely uses spaces) searchable.
+ */
+function getSearchGrams(text) {
+    const grams = new Set();
+    text.split(' ').filter(Boolean).forEach(word => {
+        const padded = ` ${word} `;
+        for (let i = 0; i <= padded.length - 3; i++) {
+            grams.add(padded.slice(i, i + 3));
+        }
+    });
+    return grams;
+}
+
+/**
+ * Edit distance (Levenshtein plus adjacent transpositions) with an early exit
+ * once `max` is exceeded.
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, row[j]);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+/**
+ * Builds the search index over every movie in `videos`. A movie listed in
+ * several categories is indexed once.
+ */
+function buildSearchIndex() {
+    const entries = [];
+    const grams = new Map();
+    const seen = new Set();
+
+    for (const category in videos) {
+        (videos[category] || []).forEach(movie => {
+            if (!movie || seen.has(movie.id)) return;
+            seen.add(movie.id);
+
+            const raw = SEARCH_FIELDS
+                .map(field => movie[field])
+                .filter(value => value !== undefined && value !== null)
+                .map(value => Array.isArray(value) ? value.join(' ') : String(value))
+                .join(' ');
+            const text = normalizeSearchText(raw);
+            const entry = { movie, text, tokens: text.split(' ').filter(Boolean), grams: getSearchGrams(text) };
+            const entryIndex = entries.push(entry) - 1;
+
+            entry.grams.forEach(gram => {
+                if (!grams.has(gram)) grams.set(gram, []);
+                grams.get(gram).push(entryIndex);
+            });
+        });
+    }
+
+    searchIndex = { entries, grams };
+}
+
+/**
+ * Scores one index entry against a prepared query (0 = no match).
+ */
+function scoreSearchEntry(entry, query) {
+    if (entry.text.includes(query.text)) {
+        return entry.text.startsWith(query.text) ? 2 : 1.5;
+    }
+
+    let sharedGrams = 0;
+    query.grams.forEach(gram => {
+        if (entry.grams.has(gram)) sharedGrams++;
+    });
+    const gramScore = query.grams.size ? sharedGrams / query.grams.size : 0;
+
+    // Token-level typo tolerance: prefixes count fully, near misses partially
+    let tokenTotal = 0;
+    query.tokens.forEach(token => {
+        const allowed = token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0;
+        let best = 0;
+        for (const candidate of entry.tokens) {
+            if (candidate.startsWith(token)) {
+                best = 1;
+                break;
+            }
+            if (allowed && editDistance(token, candidate.slice(0, token.length + allowed), allowed) <= allowed) {
+                best = 0.8;
+            }
+        }
+        tokenTotal += best;
+    });
+    const tokenScore = query.tokens.length ? tokenTotal / query.tokens.length : 0;
+
+    return Math.max(gramScore, tokenScore);
+}
+
+/**
+ * Returns movies matching `queryText`, best match first.
+ */
+function searchMovies(queryText) {
+    const text = normalizeSearchText(queryText);
+    if (!text) return [];
+
+    const query = { text, tokens: text.split(' '), grams: getSearchGrams(text) };
+
+    // Candidates share at least one trigram; short queries scan everything so typos still match
+    let candidates;
+    if (text.length <= 4) {
+        candidates = searchIndex.entries.map((_, i) => i);
+    } else {
+        const ids = new Set();
+        query.grams.forEach(gram => (searchIndex.grams.get(gram) || []).forEach(i => ids.add(i)));
+        candidates = [...ids];
+    }
+
+    return candidates
+        .map(i => ({ entry: searchIndex.entries[i], score: scoreSearchEntry(searchIndex.entries[i], query) }))
+        .filter(result => result.score >= SEARCH_MIN_SCORE && isMovieAllowed(result.entry.movie))
+        .sort((a, b) => b.score - a.score || a.entry.movie.title.localeCompare(b.entry.movie.title))
+        .map(result => result.entry.movie);
+}
+
+/**
+ * Handles typing in the header search box (debounced).
+ */
+window.handleSearchInput = function(value) {
+    clearTimeout(searchDebounceTimer);
+    searchDebounceTimer = setTimeout(() => runSearch(value), SEARCH_DEBOUNCE_MS);
+}
+
+function runSearch(value) {
+    searchQuery = value.trim();
+
+    const activeNavBtn = document.querySelector('.nav-btn.text-primary');
+    const homeBtn = document.querySelector('.nav-btn[data-nav="home"]');
+
+    if (!searchQuery) {
+        refreshActiveView();
+        return;
+    }
+
+    if (activeNavBtn && activeNavBtn.dataset.nav === 'home') {
+        displaySearchResults();
+    } else if (homeBtn) {
+        changeNav(homeBtn);
+    }
+}
+
+/**
+ * Empties the search box and drops the current query.
+ */
+function clearSearch() {
+    clearTimeout(searchDebounceTimer);
+    searchQuery = '';
+    const input = document.getElementById('search-input');
+    if (input) input.value = '';
+}
+
+/**
+ * Renders search results into the movie grid.
+ */
+function displaySearchResults() {
+    document.querySelectorAll('.menu-btn').forEach(b => {
+        b.classList.remove('active-category', 'active-category-blue', 'text-white');
+        b.classList.add('bg-gray-800', 'text-white', 'hover:bg-gray-700');
+    });
+
+    const moviesContainer = document.getElementById('movies');
+    const t = getStrings();
+    const results = searchMovies(searchQuery);
+
+    moviesContainer.innerHTML = `<h2 class="text-xl font-bold text-center w-full mb-4 text-white/80 col-span-full">${t.searchResultsTitle || 'Search Results'}: "${escapeHtml(searchQuery)}" (${results.length})</h2>`;
+
+    if (results.length === 0) {
+        moviesContainer.innerHTML += `<p class="text-center w-full text-gray-500 col-span-full">${t.noSearchResults || 'No movies match your search.'}</p>`;
+        return;
+    }
+
+    appendMovieGrid(moviesContainer, results);
+}
+
+
+// -------------------------------------------------------------------------
+// 8. WATCH HISTORY AND RESUME (Continue Watching)
+// -------------------------------------------------------------------------
+
+let positionTrackingTimer = null;
+
+function saveWatchHistory() {
+    try {
+        localStorage.setItem(profileKey('watchHistory'), JSON.stringify(watchHistory));
+    } catch (e) { /* Error */ }
+}
+
+/**
+ * Moves (or adds) a movie to the top of the watch history, keeping any saved position.
+ */
+function recordWatchStart(movie) {
+    const previous = watchHistory.find(entry => entry.id === movie.id);
+    watchHistory = watchHistory.filter(entry => entry.id !== movie.id);
+    watchHistory.unshift({
+        id: movie.id,
+        watchedAt: Date.now(),
+        position: previous ? previous.position : 0,
+        duration: previous ? previous.duration : 0,
+        plays: (previous && previous.plays || 0) + 1,
+    });
+    watchHistory = watchHistory.slice(0, WATCH_HISTORY_LIMIT);
+    saveWatchHistory();
+}
+
+function updateWatchPosition(movieId, position, duration) {
+    const entry = watchHistory.find(item => item.id === movieId);
+    if (!entry) return;
+
+    entry.position = Math.max(0, Math.floor(position));
+    entry.duration = Math.max(0, Math.floor(duration || entry.duration));
+    entry.watchedAt = Date.now();
+    saveWatchHistory();
+}
+
+/**
+ * Returns the saved position (seconds) worth resuming from, or 0 when the
+ * movie was barely started or already (nearly) finished.
+ */
+function getResumePosition(movieId) {
+    const entry = watchHistory.find(item => item.id === movieId);
+    if (!entry || entry.position < RESUME_MIN_SECONDS) return 0;
+    if (entry.duration && entry.position > entry.duration - RESUME_END_MARGIN_SECONDS) return 0;
+    return entry.position;
+}
+
+/**
+ * Periodically saves the active player's position while a movie plays.
+ * Sources that can't report a position (plain iframes) are just timestamped.
+ */
+function startPositionTracking() {
+    clearInterval(positionTrackingTimer);
+    positionTrackingTimer = setInterval(() => {
+        saveCurrentPosition();
+        trackWatchTime();
+    }, POSITION_SAVE_INTERVAL_MS);
+}
+
+/**
+ * Saves the current movie's position and stops tracking it.
+ */
+function stopPositionTracking() {
+    saveCurrentPosition();
+    clearInterval(positionTrackingTimer);
+    positionTrackingTimer = null;
+}
+
+function saveCurrentPosition() {
+    if (!activePlayer || !currentPlayingMovie) return;
+
+    const position = activePlayer.getPosition();
+    // null = unknown, 0 = not loaded yet; neither should overwrite a saved position
+    if (position > 0) {
+        updateWatchPosition(currentPlayingMovie.id, position, activePlayer.getDuration());
+    }
+}
+
+window.clearWatchHistory = function() {
+    watchHistory = [];
+    saveWatchHistory();
+
+    refreshActiveView();
+}
+
+/**
+ * Renders the "Continue Watching" row (most recent first) at the top of the home view.
+ */
+function renderContinueWatchingRow(container) {
+    const items = watchHistory
+        .map(entry => ({ entry, movie: findMovieById(entry.id) }))
+        .filter(item => item.movie !== null && isMovieAllowed(item.movie))
+        .slice(0, CONTINUE_WATCHING_LIMIT)
+        .map(({ entry, movie }) => ({
+            movie,
+            progress: entry.duration > 0 && entry.position > 0 ? Math.min(100, Math.round((entry.position / entry.duration) * 100)) : 0,
+        }));
+    if (items.length === 0) return;
+
+    const t = getStrings();
+    renderMovieStrip(container, t.continueWatching || 'Continue Watching', items);
+}
+
+/**
+ * Appends a titled, horizontally scrolling row of cards. Each item is
+ * `{ movie, progress }`; a progress (percent) above 0 draws a bar.
+ */
+function renderMovieStrip(container, titleHtml, items) {
+    const row = document.createElement('div');
+    row.className = 'col-span-full w-full mb-4';
+    row.innerHTML = `
+        <h2 class="text-lg font-bold mb-2 text-white/80">${titleHtml}</h2>
+        <div class="movie-strip flex space-x-2 overflow-x-auto pb-2"></div>
+    `;
+
+    const list = row.querySelector('.movie-strip');
+    items.forEach(({ movie, progress }) => {
+        const card = createMovieCard(movie);
+        card.classList.remove('w-full');
+        card.classList.add('w-36', 'flex-shrink-0');
+
+        if (progress > 0) {
+            card.querySelector('.aspect-video').insertAdjacentHTML('beforeend',
+                `<div class="absolute bottom-0 left-0 right-0 h-1 bg-black/60 z-10"><div class="h-full bg-primary" style="width: ${progress}%"></div></div>`);
+        }
+        list.appendChild(card);
+    });
+
+    container.appendChild(row);
+}
+
+// Keep the position (and the watch time so far) when the page is closed or hidden mid-movie
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+        saveCurrentPosition();
+        trackWatchTime();
+        exportWatchStats();
+    }
+});
+
+
+// -------------------------------------------------------------------------
+// 9. HASH ROUTING AND DEEP LINKS
+// -------------------------------------------------------------------------
+
+// Routes: #/home, #/category/<key>, #/trending, #/favorites, #/playlists[/<id>], #/profile[/catalog], #/watch/<movieId>
+let isApplyingRoute = false;
+let pendingRouteHash = null;
+
+/**
+ * Parses a location hash into `{ nav, category, movieId }`. Unknown routes fall back to home.
+ */
+function parseRoute(hash) {
+    const parts = String(hash || '').replace(/^#\/?/, '').split('/').filter(Boolean).map(part => {
+        try {
+            return decodeURIComponent(part);
+        } catch (e) {
+            return part;
+        }
+    });
+
+    switch (parts[0]) {
+        case 'category':
+            return parts[1] ? { nav: 'home', category: parts[1] } : { nav: 'home' };
+        case 'watch':
+            return parts[1] ? { nav: 'home', movieId: parts[1] } : { nav: 'home' };
+        case 'playlists':
+            return parts[1] ? { nav: 'playlists', playlistId: parts[1] } : { nav: 'playlists' };
+        case 'profile':
+            return parts[1] === 'catalog' ? { nav: 'profile', catalogEditor: true } : { nav: 'profile' };
+        case 'trending':
+        case 'favorites':
+            return { nav: parts[0] };
+        default:
+            return { nav: 'home' };
+    }
+}
+
+/**
+ * Puts `path` into the URL as a new history entry, unless the change came
+ * from the URL itself (back/forward, initial load) or is just a re-render.
+ */
+function syncRoute(path) {
+    if (isApplyingRoute || !appReady) return;
+
+    const hash = `#${path}`;
+    if (window.location.hash === hash) return;
+
+    pendingRouteHash = hash;
+    window.location.hash = hash;
+}
+
+/**
+ * Runs `fn` without writing its view changes to the URL.
+ */
+function withoutRouteSync(fn) {
+    const wasApplying = isApplyingRoute;
+    isApplyingRoute = true;
+    try {
+        fn();
+    } finally {
+        isApplyingRoute = wasApplying;
+    }
+}
+
+/**
+ * Re-renders the active view in place (e.g. after a settings change) without touching the URL.
+ */
+function refreshActiveView() {
+    const activeNavBtn = document.querySelector('.nav-btn.text-primary');
+    if (activeNavBtn) {
+        withoutRouteSync(() => changeNav(activeNavBtn));
+    }
+}
+
+/**
+ * Shows the view described by a parsed route.
+ */
+function applyRoute(route) {
+    const homeBtn = document.querySelector('.nav-btn[data-nav="home"]');
+    const navBtn = document.querySelector(`.nav-btn[data-nav="${route.nav}"]`) || homeBtn;
+    if (!navBtn) {
+        console.error("Home navigation button not found.");
+        return;
+    }
+
+    const activeNav = document.querySelector('.nav-btn.text-primary')?.dataset.nav;
+
+    withoutRouteSync(() => {
+        if (route.category) {
+            if (activeNav !== 'home') changeNav(navBtn);
+            const categoryBtn = [...document.querySelectorAll('.menu-btn')].find(b => b.dataset.category === route.category);
+            showCategory(route.category, categoryBtn || null);
+        } else if (route.playlistId) {
+            if (activeNav !== 'playlists') changeNav(navBtn);
+            openPlaylist(route.playlistId);
+        } else if (route.catalogEditor) {
+            if (activeNav !== 'profile') changeNav(navBtn);
+            openCatalogEditor();
+        } else if (route.movieId) {
+            // Keep the current grid view; only leave the profile page, where the player is hidden
+            if (!activeNav || activeNav === 'profile') changeNav(navBtn);
+            if (!currentPlayingMovie || currentPlayingMovie.id !== route.movieId) {
+                playVideo(route.movieId);
+            }
+        } else {
+            catalogEditorOpen = false;
+            changeNav(navBtn);
+        }
+    });
+}
+
+window.addEventListener('hashchange', () => {
+    if (!appReady) return;
+    if (pendingRouteHash === window.location.hash) {
+        // Our own syncRoute; the view is already showing it
+        pendingRouteHash = null;
+        return;
+    }
+    pendingRouteHash = null;
+    applyRoute(parseRoute(window.location.hash));
+});
+
+/**
+ * Returns a shareable deep link to the playing movie (or to the current view).
+ */
+function getShareLink() {
+    const base = window.location.href.split('#')[0];
+    if (currentPlayingMovie) {
+        return `${base}#/watch/${encodeURIComponent(currentPlayingMovie.id)}`;
+    }
+    return window.location.href;
+}
+
+/**
+ * Copies the deep link to the clipboard; shows the link instead when copying isn't allowed.
+ */
+window.shareCurrentMovie = async function() {
+    const t = getStrings();
+    const link = getShareLink();
+
+    try {
+        await navigator.clipboard.writeText(link);
+        showCustomAlert(t.shareTitle || 'Share', t.linkCopied || 'Link copied to clipboard.', [link]);
+    } catch (e) {
+        showCustomAlert(t.shareTitle || 'Share', t.copyLinkManually || 'Copy this link to share:', [link]);
+    }
+}
+
+
+// -------------------------------------------------------------------------
+// 10. OFFLINE SUPPORT (Service Worker / PWA)
+// -------------------------------------------------------------------------
+
+/**
+ * Registers the service worker (sw.js) and listens for its catalog updates.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'catalog-updated') {
+            showCatalogUpdateNotice();
+        }
+    });
+
+    navigator.serviceWorker.register('sw.js').catch(e => {
+        console.warn('Service worker registration failed; offline mode is unavailable.', e);
+    });
+}
+
+function showCatalogUpdateNotice() {
+    document.getElementById('catalog-update-notice').classList.remove('hidden');
+}
+
+window.hideCatalogUpdateNotice = function() {
+    document.getElementById('catalog-update-notice').classList.add('hidden');
+}
+
+/**
+ * Swaps in the catalog the service worker just stored, without reloading the
+ * page (so a playing movie keeps playing).
+ */
+window.applyCatalogUpdate = async function() {
+    hideCatalogUpdateNotice();
+    await reloadCatalog();
+}
+
+
+// -------------------------------------------------------------------------
+// 11. PLAYER BACKENDS (YouTube / iframe / MP4 / HLS / DASH)
+// -------------------------------------------------------------------------
+
+// Every backend implements the same interface:
+//   load(movie, startAt)  start playback (from `startAt` seconds when > 0)
+//   play() / pause() / seek(seconds)
+//   getPosition()         seconds, or null when the source can't report it
+//   getDuration()         seconds, or 0 when unknown
+//   isPaused()            boolean, or null when unknown
+//   toggleFullscreen()
+//   getAudioTracks()      [{ id, language, label, enabled }] the stream itself offers
+//   setAudioTrack(id)
+//   destroy()             stop and release the element for the next backend
+// and reports 'pause' / 'ended' / 'tracks' (audio tracks became known)
+// through handlePlayerEvent().
+const PLAYER_BACKENDS = {
+    youtube: () => createYouTubeBackend(),
+    iframe: () => createIframeBackend(),
+    video: () => createVideoBackend('video'),
+    hls: () => createVideoBackend('hls'),
+    dash: () => createVideoBackend('dash'),
+};
+
+const HLS_JS_URL = 'https://cdn.jsdelivr.net/npm/hls.js@1/dist/hls.min.js';
+const DASH_JS_URL = 'https://cdn.jsdelivr.net/npm/dashjs@4/dist/dash.all.min.js';
+
+let activePlayer = null;
+let youTubeApiPromise = null;
+const scriptPromises = {};
+
+/**
+ * Picks the backend for a movie: its `type` field when valid, otherwise
+ * detected from the URL. Anything unrecognised is treated as an iframe embed.
+ */
+function getPlayerType(movie) {
+    const type = String(movie.type || '').toLowerCase();
+    if (type === 'mp4') return 'video';
+    if (PLAYER_TYPES.includes(type)) return type;
+
+    if (getYouTubeId(movie.src)) return 'youtube';
+
+    let path = '';
+    try {
+        path = new URL(movie.src, window.location.href).pathname.toLowerCase();
+    } catch (e) { /* keep iframe */ }
+
+    if (path.endsWith('.m3u8')) return 'hls';
+    if (path.endsWith('.mpd')) return 'dash';
+    if (/\.(mp4|m4v|webm|ogv|ogg|mov)$/.test(path)) return 'video';
+    return 'iframe';
+}
+
+/**
+ * Replaces the active backend with the right one for `movie` and starts it.
+ */
+function loadPlayer(movie, startAt) {
+    if (activePlayer) {
+        activePlayer.destroy();
+    }
+    activePlayer = PLAYER_BACKENDS[getPlayerType(movie)]();
+    activePlayer.load(movie, startAt);
+}
+
+/**
+ * Stops whatever is playing and clears the player, e.g. when switching profiles.
+ */
+function stopPlayback() {
+    stopPositionTracking();
+    endStatsSession();
+    clearMediaTracks();
+    if (activePlayer) {
+        activePlayer.destroy();
+        activePlayer = null;
+    }
+    showPlayerElement('iframe');
+    document.getElementById('iframePlayer').src = 'about:blank';
+
+    const t = getStrings();
+    currentPlayingMovie = null;
+    document.getElementById('current-movie-title').textContent = t.selectMovie || 'Select a Movie';
+    updateFavoriteButtonState(null);
+    updateNextEpisodeButton();
+}
+
+/**
+ * Single entry point for playback events reported by the backends.
+ */
+function handlePlayerEvent(type) {
+    if (type === 'tracks') {
+        updateTracksButton();
+        return;
+    }
+    if (!currentPlayingMovie) return;
+
+    if (type === 'pause') {
+        saveCurrentPosition();
+        trackWatchTime(true);
+    } else if (type === 'ended') {
+        // Finished: next play starts from the beginning
+        updateWatchPosition(currentPlayingMovie.id, 0, activePlayer ? activePlayer.getDuration() : 0);
+        trackWatchTime(true);
+        completeStatsSession();
+        if (!playNextInQueue()) playNextEpisode();
+    }
+}
+
+function handlePlayerError(movie, error) {
+    console.error(`Playback failed for "${movie.title}".`, error);
+    const t = getStrings();
+    showCustomAlert(t.errorTitle || 'Error', t.playbackError || 'This video could not be played.', [error.message]);
+}
+
+/**
+ * Shows the element a backend renders into ('iframe' or 'video') and
+ * silences the other one.
+ */
+function showPlayerElement(kind) {
+    const iframe = document.getElementById('iframePlayer');
+    const video = document.getElementById('videoPlayer');
+
+    if (kind === 'video') {
+        iframe.src = 'about:blank';
+        iframe.classList.add('hidden');
+        video.classList.remove('hidden');
+    } else {
+        video.pause();
+        video.removeAttribute('src');
+        video.load();
+        video.classList.add('hidden');
+        iframe.classList.remove('hidden');
+    }
+}
+
+/**
+ * Loads an external script once; resolves when it has run.
+ */
+function loadScriptOnce(src) {
+    if (!scriptPromises[src]) {
+        scriptPromises[src] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => {
+                delete scriptPromises[src];
+                reject(new Error(`Failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return scriptPromises[src];
+}
+
+function toggleElementFullscreen(element) {
+    if (document.fullscreenElement || document.webkitFullscreenElement) {
+        (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+        return;
+    }
+
+    const request = element.requestFullscreen || element.webkitRequestFullscreen;
+    if (!request) return;
+    const result = request.call(element);
+    if (result && typeof result.catch === 'function') {
+        result.catch(e => console.warn('Fullscreen request was rejected.', e));
+    }
+}
+
+/**
+ * Toggles fullscreen for the player (called from the button in index.html).
+ */
+window.toggleFullScreen = function() {
+    if (activePlayer) {
+        activePlayer.toggleFullscreen();
+    } else {
+        toggleElementFullscreen(document.getElementById('player-container'));
+    }
+}
+
+/**
+ * Builds the iframe src for a YouTube movie: the JS API is enabled (for
+ * controls and position reporting) and a `start=` offset is set when resuming.
+ */
+function buildYouTubeSrc(movie, startAt) {
+    const url = new URL(movie.src, window.location.href);
+    url.searchParams.set('enablejsapi', '1');
+    url.searchParams.set('origin', window.location.origin);
+    if (startAt > 0) {
+        url.searchParams.set('start', String(Math.floor(startAt)));
+    } else {
+        url.searchParams.delete('start');
+    }
+    // Without catalog subtitles, ask YouTube for its own captions in the profile's language
+    if (currentSettings.captionLanguage && !movie.subtitles) {
+        url.searchParams.set('cc_load_policy', '1');
+        url.searchParams.set('cc_lang_pref', currentSettings.captionLanguage);
+    }
+    return url.href;
+}
+
+/**
+ * Loads the YouTube IFrame API once and resolves with the `YT` namespace.
+ */
+function loadYouTubeApi() {
+    if (youTubeApiPromise) return youTubeApiPromise;
+
+    youTubeApiPromise = new Promise((resolve, reject) => {
+        if (window.YT && window.YT.Player) {
+            resolve(window.YT);
+            return;
+        }
+        const previousReady = window.onYouTubeIframeAPIReady;
+        window.onYouTubeIframeAPIReady = () => {
+            if (typeof previousReady === 'function') previousReady();
+            resolve(window.YT);
+        };
+        const script = document.createElement('script');
+        script.src = 'https://www.youtube.com/iframe_api';
+        script.onerror = () => {
+            youTubeApiPromise = null;
+            reject(new Error('YouTube IFrame API failed to load'));
+        };
+        document.head.appendChild(script);
+    });
+    return youTubeApiPromise;
+}
+
+/**
+ * YouTube embeds, controlled through the IFrame API.
+ */
+function createYouTubeBackend() {
+    let ytPlayer = null;
+    let destroyed = false;
+
+    // API methods only exist once the player is ready
+    const call = (method, ...args) => (ytPlayer && typeof ytPlayer[method] === 'function') ? ytPlayer[method](...args) : undefined;
+
+    return {
+        type: 'youtube',
+        load(movie, startAt) {
+            showPlayerElement('iframe');
+            const iframe = document.getElementById('iframePlayer');
+            iframe.src = buildYouTubeSrc(movie, startAt);
+
+            loadYouTubeApi().then(YT => {
+                if (destroyed) return;
+                ytPlayer = new YT.Player(iframe, {
+                    events: {
+                        onStateChange: event => {
+                            if (event.data === YT.PlayerState.PAUSED) handlePlayerEvent('pause');
+                            if (event.data === YT.PlayerState.ENDED) handlePlayerEvent('ended');
+                        },
+                    },
+                });
+            }).catch(e => console.warn('YouTube controls are unavailable; resume and seeking are disabled.', e));
+        },
+        play() { call('playVideo'); },
+        pause() { call('pauseVideo'); },
+        seek(seconds) { call('seekTo', seconds, true); },
+        getPosition() {
+            const position = call('getCurrentTime');
+            return typeof position === 'number' ? position : null;
+        },
+        getDuration() { return call('getDuration') || 0; },
+        isPaused() {
+            const state = call('getPlayerState');
+            return typeof state === 'number' ? state !== 1 : null;
+        },
+        toggleFullscreen() { toggleElementFullscreen(document.getElementById('player-container')); },
+        getAudioTracks() { return []; },
+        setAudioTrack() {},
+        destroy() {
+            destroyed = true;
+            ytPlayer = null;
+        },
+    };
+}
+
+/**
+ * Any other embeddable page. The iframe is cross-origin, so it can only be
+ * loaded and made fullscreen; controls and position stay inside the embed.
+ */
+function createIframeBackend() {
+    return {
+        type: 'iframe',
+        load(movie) {
+            showPlayerElement('iframe');
+            document.getElementById('iframePlayer').src = movie.src;
+        },
+        play() {},
+        pause() {},
+        seek() {},
+        getPosition() { return null; },
+        getDuration() { return 0; },
+        isPaused() { return null; },
+        toggleFullscreen() { toggleElementFullscreen(document.getElementById('player-container')); },
+        getAudioTracks() { return []; },
+        setAudioTrack() {},
+        destroy() {},
+    };
+}
+
+/**
+ * Direct media in the native <video> element: plain files ('video'), HLS
+ * (native where supported, otherwise hls.js over MSE) and DASH (dash.js).
+ */
+function createVideoBackend(type) {
+    const video = document.getElementById('videoPlayer');
+    // Native HLS (Safari) lists a stream's audio renditions here; most browsers don't have it
+    const nativeAudioTracks = video.audioTracks && typeof video.audioTracks.addEventListener === 'function' ? video.audioTracks : null;
+    let streamPlayer = null;
+    let destroyed = false;
+    // Seeks to the resume point; removed on destroy so it can't seek the next movie
+    let onMetadata = null;
+
+    const onPause = () => {
+        // 'pause' also fires right before 'ended'
+        if (!video.ended) handlePlayerEvent('pause');
+    };
+    const onEnded = () => handlePlayerEvent('ended');
+    const onTracks = () => handlePlayerEvent('tracks');
+    const startPlayback = () => {
+        const playing = video.play();
+        if (playing) playing.catch(() => { /* autoplay blocked; the native controls are visible */ });
+    };
+
+    return {
+        type,
+        async load(movie, startAt) {
+            showPlayerElement('video');
+            video.addEventListener('pause', onPause);
+            video.addEventListener('ended', onEnded);
+            if (nativeAudioTracks) nativeAudioTracks.addEventListener('addtrack', onTracks);
+
+            try {
+                if (type === 'hls' && !video.canPlayType('application/vnd.apple.mpegurl')) {
+                    await loadScriptOnce(HLS_JS_URL);
+                    if (destroyed) return;
+                    if (!window.Hls || !window.Hls.isSupported()) {
+                        throw new Error('HLS playback is not supported on this device.');
+                    }
+                    const hls = new window.Hls({ startPosition: startAt > 0 ? startAt : -1 });
+                    hls.on(window.Hls.Events.MANIFEST_PARSED, startPlayback);
+                    hls.on(window.Hls.Events.ERROR, (event, data) => {
+                        if (data.fatal) handlePlayerError(movie, new Error(`HLS ${data.type}: ${data.details}`));
+                    });
+                    hls.on(window.Hls.Events.AUDIO_TRACKS_UPDATED, onTracks);
+                    hls.loadSource(movie.src);
+                    hls.attachMedia(video);
+                    streamPlayer = {
+                        getAudioTracks: () => hls.audioTracks.map((track, index) => ({
+                            id: index, language: track.lang || '', label: track.name || '', enabled: index === hls.audioTrack,
+                        })),
+                        setAudioTrack: id => { hls.audioTrack = id; },
+                        destroy: () => hls.destroy(),
+                    };
+                } else if (type === 'dash') {
+                    await loadScriptOnce(DASH_JS_URL);
+                    if (destroyed) return;
+                    const dash = window.dashjs.MediaPlayer().create();
+                    dash.on(window.dashjs.MediaPlayer.events.ERROR, event => {
+                        handlePlayerError(movie, new Error(`DASH error: ${event.error && event.error.message}`));
+                    });
+                    dash.on(window.dashjs.MediaPlayer.events.STREAM_INITIALIZED, onTracks);
+                    dash.initialize(video, movie.src, true, startAt > 0 ? startAt : undefined);
+                    streamPlayer = {
+                        getAudioTracks: () => {
+                            const current = dash.getCurrentTrackFor('audio');
+                            return dash.getTracksFor('audio').map((track, index) => ({
+                                id: index, language: track.lang || '', label: (track.labels && track.labels[0] && track.labels[0].text) || '', enabled: track === current,
+                            }));
+                        },
+                        setAudioTrack: id => {
+                            const track = dash.getTracksFor('audio')[id];
+                            if (track) dash.setCurrentTrack(track);
+                        },
+                        destroy: () => dash.reset(),
+                    };
+                } else {
+                    // Plain files and native HLS (Safari, Android)
+                    video.src = movie.src;
+                    if (startAt > 0) {
+                        onMetadata = () => { video.currentTime = startAt; };
+                        video.addEventListener('loadedmetadata', onMetadata, { once: true });
+                    }
+                    startPlayback();
+                }
+            } catch (e) {
+                if (!destroyed) handlePlayerError(movie, e);
+            }
+        },
+        play() { startPlayback(); },
+        pause() { video.pause(); },
+        seek(seconds) { video.currentTime = seconds; },
+        getPosition() { return video.currentTime || 0; },
+        getDuration() { return Number.isFinite(video.duration) ? video.duration : 0; },
+        isPaused() { return video.paused; },
+        getAudioTracks() {
+            if (streamPlayer) return streamPlayer.getAudioTracks();
+            return Array.from(nativeAudioTracks || [], (track, index) => ({
+                id: index, language: track.language || '', label: track.label || '', enabled: track.enabled,
+            }));
+        },
+        setAudioTrack(id) {
+            if (streamPlayer) {
+                streamPlayer.setAudioTrack(id);
+                return;
+            }
+            Array.from(nativeAudioTracks || []).forEach((track, index) => { track.enabled = index === id; });
+        },
+        toggleFullscreen() {
+            const container = document.getElementById('player-container');
+            // iPhone Safari only supports fullscreen on the <video> itself
+            if (!container.requestFullscreen && !container.webkitRequestFullscreen && video.webkitEnterFullscreen) {
+                video.webkitEnterFullscreen();
+            } else {
+                toggleElementFullscreen(container);
+            }
+        },
+        destroy() {
+            destroyed = true;
+            video.removeEventListener('pause', onPause);
+            video.removeEventListener('ended', onEnded);
+            if (onMetadata) video.removeEventListener('loadedmetadata', onMetadata);
+            if (nativeAudioTracks) nativeAudioTracks.removeEventListener('addtrack', onTracks);
+            if (streamPlayer) streamPlayer.destroy();
+            streamPlayer = null;
+        },
+    };
+}
+
+
+// -------------------------------------------------------------------------
+// 12. PLAYLISTS AND PLAY QUEUE (Autoplay Next)
+// -------------------------------------------------------------------------
+
+// Playlist shown in the Playlists view; null shows the overview
+let openPlaylistId = null;
+
+function savePlaylists() {
+    try {
+        localStorage.setItem(profileKey('playlists'), JSON.stringify(playlists));
+    } catch (e) { /* Error */ }
+}
+
+function findPlaylist(playlistId) {
+    return playlists.find(playlist => playlist.id === playlistId) || null;
+}
+
+/**
+ * Re-renders the Playlists view if it is the active one.
+ */
+function refreshPlaylistsView() {
+    const activeNav = document.querySelector('.nav-btn.text-primary')?.dataset.nav;
+    if (activeNav !== 'playlists') return;
+
+    if (openPlaylistId && findPlaylist(openPlaylistId)) {
+        displayPlaylistDetail(openPlaylistId);
+    } else {
+        displayPlaylists();
+    }
+}
+
+function renderPlayAllButton(onclick) {
+    const t = getStrings();
+    return `
+        <div class="col-span-full w-full flex justify-end mb-2">
+            <button onclick="${onclick}" class="text-sm font-semibold text-primary border border-primary rounded-full px-4 py-1 hover:bg-primary hover:text-black transition duration-200">
+                ▶ ${t.playAll || 'Play All'}
+            </button>
+        </div>
+    `;
+}
+
+// --- Queue ---
+
+/**
+ * Plays the first movie and queues the rest, replacing the current queue.
+ */
+function startQueue(movieIds) {
+    const ids = movieIds.filter(id => findMovieById(id) && isMovieAllowed(findMovieById(id)));
+    if (ids.length === 0) return;
+
+    playQueue = ids.slice(1);
+    playVideo(ids[0]);
+    refreshPlaylistsView();
+}
+
+/**
+ * Plays the next queued movie (called when the current one ends). Returns
+ * false when the queue had nothing playable.
+ */
+function playNextInQueue() {
+    while (playQueue.length > 0) {
+        const nextId = playQueue.shift();
+        // Autoplay never stops to ask for the PIN; restricted items are skipped
+        if (findMovieById(nextId) && isMovieAllowed(findMovieById(nextId))) {
+            playVideo(nextId);
+            refreshPlaylistsView();
+            return true;
+        }
+    }
+    return false;
+}
+
+window.playNext = function(movieId) {
+    if (!currentPlayingMovie) {
+        playVideo(movieId);
+        return;
+    }
+    playQueue.unshift(movieId);
+    refreshPlaylistsView();
+}
+
+window.addToQueue = function(movieId) {
+    if (!currentPlayingMovie) {
+        playVideo(movieId);
+        return;
+    }
+    playQueue.push(movieId);
+    refreshPlaylistsView();
+}
+
+window.removeFromQueue = function(index) {
+    playQueue.splice(index, 1);
+    refreshPlaylistsView();
+}
+
+window.clearQueue = function() {
+    playQueue = [];
+    refreshPlaylistsView();
+}
+
+window.playAllCategory = function(category) {
+    startQueue(getCategoryMovies(category).map(movie => movie.id));
+}
+
+window.playAllFavorites = function() {
+    startQueue(favorites);
+}
+
+window.playPlaylist = function(playlistId, fromIndex = 0) {
+    const playlist = findPlaylist(playlistId);
+    if (playlist) startQueue(playlist.items.slice(fromIndex));
+}
+
+// --- Playlists ---
+
+window.createPlaylist = function(name) {
+    const t = getStrings();
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+        showCustomAlert(t.playlistsTitle || 'Playlists', t.playlistNameRequired || 'Please enter a playlist name.');
+        return null;
+    }
+
+    const id = 'pl' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    const playlist = { id, name: trimmed, items: [], createdAt: Date.now() };
+    playlists.push(playlist);
+    savePlaylists();
+    refreshPlaylistsView();
+    return playlist;
+}
+
+window.renamePlaylist = function(playlistId, name) {
+    const playlist = findPlaylist(playlistId);
+    const trimmed = String(name || '').trim();
+    if (!playlist || !trimmed) return;
+
+    playlist.name = trimmed;
+    savePlaylists();
+    refreshPlaylistsView();
+}
+
+window.deletePlaylist = function(playlistId) {
+    const playlist = findPlaylist(playlistId);
+    if (!playlist) return;
+
+    const t = getStrings();
+    showActionDialog(t.deletePlaylist || 'Delete Playlist', translate('deletePlaylistConfirm', { name: playlist.name }, 'Delete "{name}"?'), [
+        {
+            label: t.delete || 'Delete',
+            style: 'danger',
+            onClick: () => {
+                playlists = playlists.filter(item => item.id !== playlistId);
+                savePlaylists();
+                openPlaylistId = null;
+                syncRoute('/playlists');
+                refreshPlaylistsView();
+            },
+        },
+        { label: t.cancel || 'Cancel', style: 'secondary' },
+    ]);
+}
+
+function addToPlaylist(playlistId, movieId) {
+    const playlist = findPlaylist(playlistId);
+    if (!playlist || playlist.items.includes(movieId)) return;
+
+    playlist.items.push(movieId);
+    savePlaylists();
+    refreshPlaylistsView();
+}
+
+window.removeFromPlaylist = function(playlistId, index) {
+    const playlist = findPlaylist(playlistId);
+    if (!playlist) return;
+
+    playlist.items.splice(index, 1);
+    savePlaylists();
+    refreshPlaylistsView();
+}
+
+window.moveInPlaylist = function(playlistId, index, delta) {
+    const playlist = findPlaylist(playlistId);
+    const target = index + delta;
+    if (!playlist || target < 0 || target >= playlist.items.length) return;
+
+    const [item] = playlist.items.splice(index, 1);
+    playlist.items.splice(target, 0, item);
+    savePlaylists();
+    refreshPlaylistsView();
+}
+
+/**
+ * Opens the per-movie menu: play next, add to queue, add to a playlist.
+ */
+window.openMovieActions = function(movieId) {
+    const movie = findMovieById(movieId);
+    if (!movie) return;
+
+    const t = getStrings();
+    const actions = [
+        { label: t.details || 'Details', onClick: () => openMovieDetail(movieId) },
+        { label: t.playNext || 'Play Next', style: 'primary', onClick: () => playNext(movieId) },
+        { label: t.addToQueue || 'Add to Queue', onClick: () => addToQueue(movieId) },
+    ];
+
+    playlists.forEach(playlist => {
+        const inPlaylist = playlist.items.includes(movieId);
+        actions.push({
+            label: inPlaylist
+                ? translate('inPlaylist', { name: playlist.name }, '✓ In "{name}"')
+                : translate('addToPlaylist', { name: playlist.name }, '+ Add to "{name}"'),
+            onClick: inPlaylist ? null : () => addToPlaylist(playlist.id, movieId),
+        });
+    });
+
+    actions.push({
+        label: t.newPlaylistWithMovie || '+ New Playlist',
+        onClick: () => {
+            const playlist = createPlaylist(`${t.playlistDefaultName || 'Playlist'} ${playlists.length + 1}`);
+            if (playlist) addToPlaylist(playlist.id, movieId);
+        },
+    });
+    actions.push({ label: t.cancel || 'Cancel', style: 'secondary' });
+
+    showActionDialog(movie.title, t.movieActions || 'More', actions);
+}
+
+window.openCurrentMovieActions = function() {
+    if (currentPlayingMovie) openMovieActions(currentPlayingMovie.id);
+}
+
+window.openPlaylist = function(playlistId) {
+    if (!findPlaylist(playlistId)) {
+        openPlaylistId = null;
+        displayPlaylists();
+        return;
+    }
+    openPlaylistId = playlistId;
+    syncRoute(`/playlists/${encodeURIComponent(playlistId)}`);
+    displayPlaylistDetail(playlistId);
+}
+
+window.closePlaylist = function() {
+    openPlaylistId = null;
+    syncRoute('/playlists');
+    displayPlaylists();
+}
+
+/**
+ * Renders one row of the queue / a playlist: thumbnail, title and actions.
+ * Handlers get the movie's ID with getCardMovieId(this), never inline.
+ */
+function renderMovieRow(movie, buttons, onPlay) {
+    return `
+        <div class="flex items-center space-x-3 bg-gray-800 rounded-lg p-2" ${movie.id ? `data-movie-id="${escapeHtml(movie.id)}"` : ''}>
+            <img src="${escapeHtml(movie.thumb)}" alt="" onerror="this.onerror=null;this.src='${THUMB_PLACEHOLDER}'" class="w-20 aspect-video object-cover rounded cursor-pointer flex-shrink-0" onclick="${onPlay}">
+            <p class="flex-grow text-sm truncate cursor-pointer" role="button" tabindex="0" onclick="${onPlay}">${escapeHtml(movie.title)}</p>
+            <div class="flex space-x-1 flex-shrink-0">${buttons}</div>
+        </div>
+    `;
+}
+
+function renderRowButton(label, onclick, disabled = false) {
+    return `<button onclick="${onclick}" class="bg-gray-700 hover:bg-gray-600 disabled:opacity-30 text-white text-xs rounded px-2 py-1" ${disabled ? 'disabled' : ''}>${label}</button>`;
+}
+
+/**
+ * Renders the Playlists view: the session queue and the saved playlists.
+ */
+function displayPlaylists() {
+    const moviesContainer = document.getElementById('movies');
+    const t = getStrings();
+
+    const queueRows = playQueue
+        .map((id, index) => ({ movie: findMovieById(id), index }))
+        .filter(item => item.movie && isMovieAllowed(item.movie))
+        .map(({ movie, index }) => renderMovieRow(movie, renderRowButton('✕', `removeFromQueue(${index})`), `const id = getCardMovieId(this); removeFromQueue(${index}); playVideo(id);`))
+        .join('');
+
+    const playlistRows = playlists.map(playlist => `
+        <div class="flex items-center justify-between bg-gray-800 rounded-lg p-3" data-playlist-id="${escapeHtml(playlist.id)}">
+            <div class="cursor-pointer flex-grow min-w-0" role="button" tabindex="0" onclick="openPlaylist(this.parentElement.dataset.playlistId)">
+                <p class="font-semibold truncate">${escapeHtml(playlist.name)}</p>
+                <p class="text-xs text-gray-400">${translate('playlistItems', { count: playlist.items.length }, '{count} movies')}</p>
+            </div>
+            <button onclick="playPlaylist(this.parentElement.dataset.playlistId)" class="ml-3 text-sm font-semibold text-primary border border-primary rounded-full px-3 py-1 hover:bg-primary hover:text-black transition duration-200" ${playlist.items.length === 0 ? 'disabled' : ''}>
+                ▶ ${t.playAll || 'Play All'}
+            </button>
+        </div>
+    `).join('');
+
+    moviesContainer.innerHTML = `
+        <div class="max-w-md mx-auto w-full space-y-6">
+            <div>
+                <div class="flex justify-between items-center mb-2">
+                    <h2 class="text-xl font-bold text-white/80">${t.upNext || 'Up Next'}</h2>
+                    ${playQueue.length ? renderRowButton(t.clearQueue || 'Clear', 'clearQueue()') : ''}
+                </div>
+                <div class="space-y-2">${queueRows || `<p class="text-gray-500 text-sm">${t.queueEmpty || 'The queue is empty.'}</p>`}</div>
+            </div>
+
+            <div>
+                <h2 class="text-xl font-bold text-white/80 mb-2">${t.playlistsTitle || 'Playlists'}</h2>
+                <div class="flex space-x-2 mb-3">
+                    <input id="new-playlist-name" type="text" maxlength="60" class="flex-grow bg-gray-800 text-white rounded-lg px-3 py-2 text-sm" placeholder="${t.newPlaylistPlaceholder || 'New playlist name'}">
+                    <button onclick="createPlaylist(document.getElementById('new-playlist-name').value)" class="bg-primary text-black font-semibold text-sm rounded-lg px-4 hover:bg-opacity-90">${t.createPlaylist || 'Create'}</button>
+                </div>
+                <div class="space-y-2">${playlistRows || `<p class="text-gray-500 text-sm">${t.noPlaylists || 'No playlists yet.'}</p>`}</div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Renders one playlist with reorder / remove controls. Its handlers act on
+ * openPlaylistId; IDs can come from imported backups, so they stay out of
+ * the inline JS.
+ */
+function displayPlaylistDetail(playlistId) {
+    const playlist = findPlaylist(playlistId);
+    const moviesContainer = document.getElementById('movies');
+    const t = getStrings();
+
+    const rows = playlist.items
+        .map((id, index) => ({ movie: findMovieById(id), index }))
+        .filter(item => item.movie && isMovieAllowed(item.movie))
+        .map(({ movie, index }) => renderMovieRow(movie, [
+            renderRowButton('▲', `moveInPlaylist(openPlaylistId, ${index}, -1)`, index === 0),
+            renderRowButton('▼', `moveInPlaylist(openPlaylistId, ${index}, 1)`, index === playlist.items.length - 1),
+            renderRowButton('✕', `removeFromPlaylist(openPlaylistId, ${index})`),
+        ].join(''), `playPlaylist(openPlaylistId, ${index})`))
+        .join('');
+
+    moviesContainer.innerHTML = `
+        <div class="max-w-md mx-auto w-full space-y-4">
+            <button onclick="closePlaylist()" class="text-sm text-gray-400 hover:text-white">← ${t.playlistsTitle || 'Playlists'}</button>
+            <div class="flex space-x-2">
+                <input id="playlist-name" type="text" maxlength="60" value="${escapeHtml(playlist.name)}" class="flex-grow bg-gray-800 text-white rounded-lg px-3 py-2 font-semibold">
+                ${renderRowButton(t.rename || 'Rename', `renamePlaylist(openPlaylistId, document.getElementById('playlist-name').value)`)}
+                ${renderRowButton(t.delete || 'Delete', 'deletePlaylist(openPlaylistId)')}
+            </div>
+            ${playlist.items.length ? renderPlayAllButton('playPlaylist(openPlaylistId)') : ''}
+            <div class="space-y-2">${rows || `<p class="text-gray-500 text-sm">${t.playlistEmpty || 'Use ⋮ on a movie to add it here.'}</p>`}</div>
+        </div>
+    `;
+}
+
+
+// -------------------------------------------------------------------------
+// 13. BACKUP AND RESTORE (Export / Import / Reset)
+// -------------------------------------------------------------------------
+
+const BACKUP_APP_ID = 'WYMovieBox';
+const BACKUP_VERSION = 1;
+
+/**
+ * Collects everything the user customized into a versioned backup object.
+ */
+function createBackup() {
+    return {
+        app: BACKUP_APP_ID,
+        backupVersion: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        data: {
+            favorites: [...favorites],
+            userSettings: { ...currentSettings },
+            watchHistory: watchHistory.map(entry => ({ ...entry })),
+            playlists: playlists.map(playlist => ({ ...playlist, items: [...playlist.items] })),
+        },
+    };
+}
+
+/**
+ * Downloads the backup as a JSON file.
+ */
+window.exportBackup = function() {
+    const backup = createBackup();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = `wymoviebox-backup-${backup.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Parses and sanitizes a backup file. Throws with a readable message when
+ * the file isn't a backup this version can read.
+ */
+function parseBackup(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (e) {
+        throw new Error(getStrings().backupNotJson || 'The file is not valid JSON.');
+    }
+
+    if (!isPlainObject(backup) || backup.app !== BACKUP_APP_ID || !isPlainObject(backup.data)) {
+        throw new Error(getStrings().backupWrongApp || 'The file is not a WY MovieBox backup.');
+    }
+    if (typeof backup.backupVersion !== 'number' || backup.backupVersion > BACKUP_VERSION) {
+        throw new Error(getStrings().backupTooNew || 'The backup was made by a newer version of the app.');
+    }
+
+    const data = backup.data;
+    const isId = value => typeof value === 'string' && value.length > 0;
+
+    return {
+        exportedAt: backup.exportedAt,
+        favorites: Array.isArray(data.favorites) ? [...new Set(data.favorites.filter(isId))] : [],
+        userSettings: isPlainObject(data.userSettings) ? data.userSettings : {},
+        watchHistory: Array.isArray(data.watchHistory)
+            ? data.watchHistory.filter(entry => isPlainObject(entry) && isId(entry.id)).map(entry => ({
+                id: entry.id,
+                watchedAt: Number(entry.watchedAt) || 0,
+                position: Number(entry.position) || 0,
+                duration: Number(entry.duration) || 0,
+                plays: Number(entry.plays) || 1,
+            }))
+            : [],
+        playlists: Array.isArray(data.playlists)
+            ? data.playlists.filter(playlist => isPlainObject(playlist) && isId(playlist.id) && typeof playlist.name === 'string').map(playlist => ({
+                id: playlist.id,
+                name: playlist.name,
+                items: Array.isArray(playlist.items) ? [...new Set(playlist.items.filter(isId))] : [],
+                createdAt: Number(playlist.createdAt) || Date.now(),
+            }))
+            : [],
+    };
+}
+
+/**
+ * Returns the state that results from merging `imported` into the current
+ * state. Current settings win; lists are combined without duplicates.
+ */
+function mergeBackupState(imported) {
+    const history = new Map();
+    [...watchHistory, ...imported.watchHistory].forEach(entry => {
+        const existing = history.get(entry.id);
+        if (!existing || entry.watchedAt > existing.watchedAt) history.set(entry.id, entry);
+    });
+
+    const mergedPlaylists = playlists.map(playlist => ({ ...playlist, items: [...playlist.items] }));
+    imported.playlists.forEach(playlist => {
+        const existing = mergedPlaylists.find(item => item.id === playlist.id);
+        if (existing) {
+            playlist.items.forEach(id => {
+                if (!existing.items.includes(id)) existing.items.push(id);
+            });
+        } else {
+            mergedPlaylists.push(playlist);
+        }
+    });
+
+    return {
+        favorites: [...new Set([...favorites, ...imported.favorites])],
+        userSettings: { ...imported.userSettings, ...currentSettings },
+        watchHistory: [...history.values()].sort((a, b) => b.watchedAt - a.watchedAt).slice(0, WATCH_HISTORY_LIMIT),
+        playlists: mergedPlaylists,
+    };
+}
+
+function replaceBackupState(imported) {
+    return {
+        favorites: imported.favorites,
+        userSettings: { ...defaultSettings, ...imported.userSettings },
+        watchHistory: [...imported.watchHistory].sort((a, b) => b.watchedAt - a.watchedAt).slice(0, WATCH_HISTORY_LIMIT),
+        playlists: imported.playlists,
+    };
+}
+
+function applyBackupState(state) {
+    favorites = state.favorites;
+    currentSettings = state.userSettings;
+    watchHistory = state.watchHistory;
+    playlists = state.playlists;
+
+    saveFavorites();
+    saveSettings();
+    saveWatchHistory();
+    savePlaylists();
+
+    applySettings();
+    refreshActiveView();
+}
+
+/**
+ * Reads a chosen backup file and shows what merging or replacing would change.
+ */
+window.importBackupFile = async function(file) {
+    if (!file) return;
+    const t = getStrings();
+
+    let imported;
+    try {
+        imported = parseBackup(await file.text());
+    } catch (e) {
+        showCustomAlert(t.errorTitle || 'Error', t.backupInvalid || 'This backup cannot be imported.', [e.message]);
+        return;
+    }
+
+    const merged = mergeBackupState(imported);
+    const replaced = replaceBackupState(imported);
+    const line = (label, now, mergeCount, replaceCount) => translate('backupPreviewLine',
+        { label: label.replace(/:$/, ''), now, merge: mergeCount, replace: replaceCount },
+        '{label}: {now} now → {merge} after merge, {replace} after replace');
+
+    const details = [
+        line(t.navFavorites || 'Favorites', favorites.length, merged.favorites.length, replaced.favorites.length),
+        line(t.playlistsTitle || 'Playlists', playlists.length, merged.playlists.length, replaced.playlists.length),
+        line(t.historyTitle || 'Watch History', watchHistory.length, merged.watchHistory.length, replaced.watchHistory.length),
+    ];
+    const settingsChanged = JSON.stringify(replaced.userSettings) !== JSON.stringify(currentSettings);
+    details.push(settingsChanged
+        ? (t.backupSettingsChange || 'Settings: replaced by the backup only when you choose Replace')
+        : (t.backupSettingsSame || 'Settings: unchanged'));
+
+    const message = translate('backupPreview',
+        { date: imported.exportedAt ? new Date(imported.exportedAt).toLocaleString(getLocaleTag()) : '?' },
+        'Backup from {date}. What should happen to the data on this device?');
+
+    showActionDialog(t.importBackup || 'Import', message, [
+        { label: t.backupMerge || 'Merge', style: 'primary', onClick: () => { applyBackupState(merged); showCustomAlert(t.importBackup || 'Import', t.backupImported || 'Backup imported.'); } },
+        { label: t.backupReplace || 'Replace', style: 'danger', onClick: () => { applyBackupState(replaced); showCustomAlert(t.importBackup || 'Import', t.backupImported || 'Backup imported.'); } },
+        { label: t.cancel || 'Cancel', style: 'secondary' },
+    ], details);
+}
+
+function resetAppData() {
+    localStorage.clear();
+    window.location.reload();
+}
+
+/**
+ * Asks before wiping local data, offering to download a backup first.
+ */
+window.confirmResetAppData = async function() {
+    // Resetting would also remove the parental PIN
+    if (!(await unlockParentalControls())) return;
+
+    const t = getStrings();
+
+    showActionDialog(t.resetData || 'Reset App Data', t.resetConfirm || 'This deletes your favorites, playlists, history and settings on this device.', [
+        {
+            label: t.backupAndReset || 'Back Up, Then Reset',
+            style: 'primary',
+            onClick: () => {
+                exportBackup();
+                // Give the download a moment to start before the page reloads
+                setTimeout(resetAppData, 1000);
+            },
+        },
+        { label: t.resetOnly || 'Reset Without Backup', style: 'danger', onClick: resetAppData },
+        { label: t.cancel || 'Cancel', style: 'secondary' },
+    ]);
+}
+
+
+// -------------------------------------------------------------------------
+// 14. CATALOG SOURCES (Manifest / User-added / Status)
+// -------------------------------------------------------------------------
+
+/**
+ * Reads the user's changes to the source list: `{ added: [{ url, name }], removed: [url] }`.
+ */
+function loadUserCatalogSources() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('catalogSources'));
+        if (isPlainObject(stored)) {
+            return {
+                added: Array.isArray(stored.added) ? stored.added.filter(source => isPlainObject(source) && typeof source.url === 'string') : [],
+                removed: Array.isArray(stored.removed) ? stored.removed.filter(url => typeof url === 'string') : [],
+            };
+        }
+    } catch (e) { /* Error */ }
+    return { added: [], removed: [] };
+}
+
+function saveUserCatalogSources(userSources) {
+    try {
+        localStorage.setItem('catalogSources', JSON.stringify(userSources));
+    } catch (e) { /* Error */ }
+}
+
+/**
+ * Normalizes a manifest or user entry to `{ url, name, origin }`.
+ */
+function toCatalogSource(entry, origin) {
+    const url = typeof entry === 'string' ? entry : entry.url;
+    let name = isPlainObject(entry) && typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : '';
+    if (!name) {
+        try {
+            const parsed = new URL(url, window.location.href);
+            name = parsed.origin === window.location.origin ? parsed.pathname.split('/').pop() : parsed.host + parsed.pathname;
+        } catch (e) {
+            name = url;
+        }
+    }
+    return { url, name, origin };
+}
+
+/**
+ * Fetches the curated source list from the manifest file. Without a usable
+ * manifest the bundled catalog is the only curated source.
+ */
+async function loadCatalogManifest() {
+    try {
+        const response = await fetch(CATALOG_MANIFEST_URL);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const manifest = await response.json();
+        const entries = isPlainObject(manifest) && Array.isArray(manifest.sources) ? manifest.sources : [];
+        const sources = entries
+            .filter(entry => typeof entry === 'string' || (isPlainObject(entry) && typeof entry.url === 'string'))
+            .map(entry => toCatalogSource(entry, 'manifest'));
+        if (sources.length > 0) return sources;
+    } catch (e) {
+        console.warn(`No usable ${CATALOG_MANIFEST_URL}; using the bundled catalog only.`, e);
+    }
+    return DEFAULT_CATALOG_SOURCES.map(entry => toCatalogSource(entry, 'manifest'));
+}
+
+/**
+ * Returns the sources to load, in precedence order: manifest sources the
+ * user hasn't removed, then user-added ones.
+ */
+async function getCatalogSources() {
+    const userSources = loadUserCatalogSources();
+    const sources = (await loadCatalogManifest()).filter(source => !userSources.removed.includes(source.url));
+
+    userSources.added.forEach(entry => {
+        if (!sources.some(source => source.url === entry.url)) {
+            sources.push(toCatalogSource(entry, 'user'));
+        }
+    });
+    return sources;
+}
+
+/**
+ * Adds a catalog source by URL and reloads the catalog.
+ */
+window.addCatalogSource = async function(url) {
+    const t = getStrings();
+    url = String(url || '').trim();
+    // A new source could bring unrated titles past the rating limit
+    if (!(await unlockParentalControls())) return;
+
+    let parsed = null;
+    try {
+        parsed = new URL(url, window.location.href);
+    } catch (e) { /* handled below */ }
+    if (!url || !parsed || !/^https?:$/.test(parsed.protocol)) {
+        showCustomAlert(t.errorTitle || 'Error', t.sourceInvalidUrl || 'Enter an http(s) link to a catalog JSON file.');
+        return;
+    }
+    if (catalogSourceStatus.some(source => source.url === url)) {
+        showCustomAlert(t.catalogSourcesTitle || 'Catalog Sources', t.sourceExists || 'This source is already in the list.');
+        return;
+    }
+
+    const userSources = loadUserCatalogSources();
+    userSources.removed = userSources.removed.filter(removedUrl => removedUrl !== url);
+    if (!userSources.added.some(source => source.url === url)) {
+        userSources.added.push({ url });
+    }
+    saveUserCatalogSources(userSources);
+    await reloadCatalog();
+}
+
+/**
+ * Removes the source at `index` in the status list (a manifest source is only
+ * hidden, so it can be restored). The last remaining source can't be removed.
+ */
+window.removeCatalogSource = async function(index) {
+    const t = getStrings();
+    if (catalogSourceStatus.length <= 1) {
+        showCustomAlert(t.catalogSourcesTitle || 'Catalog Sources', t.sourceLastOne || 'At least one catalog source is needed.');
+        return;
+    }
+
+    const source = catalogSourceStatus[index];
+    if (!source) return;
+    if (!(await unlockParentalControls())) return;
+
+    const userSources = loadUserCatalogSources();
+    if (source.origin === 'manifest') {
+        if (!userSources.removed.includes(source.url)) userSources.removed.push(source.url);
+    } else {
+        userSources.added = userSources.added.filter(item => item.url !== source.url);
+    }
+    saveUserCatalogSources(userSources);
+    await reloadCatalog();
+}
+
+window.restoreCatalogSources = async function() {
+    const userSources = loadUserCatalogSources();
+    userSources.removed = [];
+    saveUserCatalogSources(userSources);
+    await reloadCatalog();
+}
+
+/**
+ * Profile card listing each source with its load status.
+ */
+function renderCatalogSourcesCard(t) {
+    const stateStyles = { ok: 'bg-green-500', error: 'bg-red-500', loading: 'bg-gray-500' };
+    const rows = catalogSourceStatus.map((source, index) => {
+        const detail = source.state === 'error'
+            ? `<span class="text-red-400">${escapeHtml(source.error || '')}</span>`
+            : source.state === 'ok'
+                ? translate('sourceMovieCount', { count: source.movieCount }, '{count} movies')
+                : (t.sourceLoading || 'Loading...');
+        const origin = source.origin === 'user' ? '' : ` <span class="text-xs text-gray-400">(${t.sourceBuiltIn || 'built-in'})</span>`;
+
+        return `
+            <li class="flex items-center space-x-3 py-2">
+                <span class="w-2 h-2 rounded-full flex-shrink-0 ${stateStyles[source.state] || stateStyles.loading}"></span>
+                <div class="flex-1 min-w-0">
+                    <p class="truncate">${escapeHtml(source.name)}${origin}</p>
+                    <p class="text-xs text-gray-400 truncate" title="${escapeHtml(source.url)}">${detail}</p>
+                </div>
+                <button onclick="removeCatalogSource(${index})" class="text-gray-400 hover:text-red-500 px-2" title="${t.removeSource || 'Remove'}">✕</button>
+            </li>
+        `;
+    }).join('');
+
+    const hasRemoved = loadUserCatalogSources().removed.length > 0;
+
+    return `
+        <div class="p-4 bg-gray-800 rounded-lg shadow-lg">
+            <h3 class="text-xl font-semibold mb-1">${t.catalogSourcesTitle || 'Catalog Sources'}</h3>
+            <p class="text-sm text-gray-400 mb-2">${t.catalogSourcesHint || 'Movie lists are merged from these files; sources higher in the list win.'}</p>
+            <ul class="divide-y divide-gray-700 mb-3">${rows}</ul>
+
+            <form onsubmit="event.preventDefault(); addCatalogSource(this.elements.url.value);" class="flex space-x-2">
+                <input name="url" type="url" required placeholder="https://example.com/catalog.json" class="flex-1 min-w-0 bg-gray-700 text-white text-sm p-2 rounded">
+                <button type="submit" class="bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 px-3 rounded transition duration-200">${t.addSource || 'Add'}</button>
+            </form>
+            ${hasRemoved ? `<button onclick="restoreCatalogSources()" class="mt-2 text-sm text-primary hover:underline">${t.restoreSources || 'Restore built-in sources'}</button>` : ''}
+        </div>
+    `;
+}
+
+
+// -------------------------------------------------------------------------
+// 15. CATEGORY MENU, SORT AND FILTER
+// -------------------------------------------------------------------------
+
+const CATEGORY_SORTS = ['default', 'title', 'newest', 'mostWatched'];
+
+// Duration filter buckets, in minutes.
+const DURATION_FILTERS = {
+    short: { max: 40 },
+    medium: { min: 40, max: 100 },
+    long: { min: 100 },
+};
+
+// Sort/filter choices per category, kept for the session.
+const categoryControls = {};
+
+/**
+ * Translated label for a category key; unknown keys are shown humanized
+ * ("sci_fi" -> "Sci Fi") so a new catalog category never shows up blank.
+ */
+function getCategoryLabel(category) {
+    const t = getStrings();
+    if (typeof t[category] === 'string') return t[category];
+
+    return String(category)
+        .replace(/[-_]+/g, ' ')
+        .replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Categories that get a menu chip, in catalog order.
+ */
+function getMenuCategories() {
+    return Object.keys(videos).filter(category => !NAV_CATEGORIES.includes(category) && videos[category].some(isMovieAllowed));
+}
+
+/**
+ * Rebuilds the #menu-bar chips from the loaded catalog, keeping the active
+ * category selected when it still exists.
+ */
+function renderCategoryMenu() {
+    const menuBar = document.getElementById('menu-bar');
+    const activeCategory = document.querySelector('.menu-btn.active-category')?.dataset.category;
+
+    menuBar.innerHTML = getMenuCategories().map(category => {
+        const active = category === activeCategory;
+        return `<button class="menu-btn ${active ? 'active-category active-category-blue' : 'bg-gray-800 hover:bg-gray-700'} text-white font-semibold px-3 py-1 rounded-full text-sm transition-all duration-200" data-category="${escapeHtml(category)}" onclick="showCategory(this.dataset.category, this)">${escapeHtml(getCategoryLabel(category))}</button>`;
+    }).join('');
+}
+
+/**
+ * The category of the view an element belongs to. Handlers read it from
+ * data-category instead of taking the (catalog-provided) key inline.
+ */
+function getElementCategory(el) {
+    return el.closest('[data-category]').dataset.category;
+}
+
+function getCategoryControls(category) {
+    return categoryControls[category] || { sort: 'default', language: '', year: '', duration: '' };
+}
+
+window.setCategoryControl = function(category, key, value) {
+    categoryControls[category] = { ...getCategoryControls(category), [key]: value };
+    refreshActiveView();
+}
+
+window.resetCategoryControls = function(category) {
+    delete categoryControls[category];
+    refreshActiveView();
+}
+
+function getMovieYear(movie) {
+    const year = parseInt(movie.year, 10);
+    return year >= 1870 && year <= 2200 ? year : null;
+}
+
+/**
+ * Runtime in minutes from `duration`: a number of minutes or "h:mm[:ss]".
+ */
+function getMovieDuration(movie) {
+    if (typeof movie.duration === 'number') return movie.duration > 0 ? movie.duration : null;
+    const text = String(movie.duration || '').trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return Number(text) || null;
+
+    const parts = text.match(/^(\d+):(\d{1,2})(?::(\d{1,2}))?$/);
+    return parts ? Number(parts[1]) * 60 + Number(parts[2]) + (Number(parts[3]) || 0) / 60 : null;
+}
+
+function getMovieLanguages(movie) {
+    const languages = Array.isArray(movie.language) ? movie.language : [movie.language];
+    return languages.filter(language => typeof language === 'string' && language.trim()).map(language => language.trim());
+}
+
+/**
+ * Names a catalog language (a code, or a legacy name like "english") in the
+ * UI language; anything else is shown as written.
+ */
+function getMovieLanguageName(language) {
+    const code = normalizeTrackLanguage(language);
+    if (!code) return language;
+    try {
+        return new Intl.DisplayNames([getLocaleTag()], { type: 'language' }).of(code) || language;
+    } catch (e) {
+        return getTrackLanguageName(code);
+    }
+}
+
+function getMovieAddedAt(movie) {
+    const time = Date.parse(movie.addedAt || movie.added || '');
+    return Number.isNaN(time) ? null : time;
+}
+
+function getPlayCount(movieId) {
+    return Object.hasOwn(watchStats.playCounts, movieId) ? watchStats.playCounts[movieId] : 0;
+}
+
+function matchesDuration(minutes, bucket) {
+    const range = DURATION_FILTERS[bucket];
+    if (!range) return true;
+    return minutes !== null && minutes >= (range.min || 0) && (range.max === undefined || minutes < range.max);
+}
+
+/**
+ * The category's movies with its current sort and filters applied.
+ */
+function getCategoryMovies(category) {
+    const controls = getCategoryControls(category);
+    const list = getCategorySource(category).filter(movie =>
+        isMovieAllowed(movie) &&
+        (!controls.language || getMovieLanguages(movie).includes(controls.language)) &&
+        (!controls.year || String(getMovieYear(movie)) === controls.year) &&
+        (!controls.duration || matchesDuration(getMovieDuration(movie), controls.duration))
+    );
+
+    // Catalog position breaks ties (and stands in for "newest" when there are no dates)
+    const position = new Map(list.map((movie, index) => [movie, index]));
+    switch (controls.sort) {
+        case 'title':
+            return list.sort((a, b) => a.title.localeCompare(b.title));
+        case 'newest':
+            return list.sort((a, b) => (getMovieAddedAt(b) || 0) - (getMovieAddedAt(a) || 0) || position.get(b) - position.get(a));
+        case 'mostWatched':
+            return list.sort((a, b) => getPlayCount(b.id) - getPlayCount(a.id) || position.get(a) - position.get(b));
+        default:
+            return list;
+    }
+}
+
+/**
+ * Sort and filter selects for a category. A filter is only offered when
+ * some of the category's movies carry that metadata.
+ */
+function renderCategoryControls(category) {
+    const t = getStrings();
+    const controls = getCategoryControls(category);
+    const movies = getCategorySource(category);
+
+    const select = (name, label, options) => `
+        <select onchange="setCategoryControl(getElementCategory(this), '${name}', this.value)" aria-label="${label}" class="bg-gray-800 text-white text-sm p-1 rounded">
+            ${options.map(([value, text]) => `<option value="${escapeHtml(value)}" ${controls[name] === value ? 'selected' : ''}>${escapeHtml(text)}</option>`).join('')}
+        </select>
+    `;
+
+    const sortLabels = {
+        default: t.sortDefault || 'Default order',
+        title: t.sortTitle || 'Title (A-Z)',
+        newest: t.sortNewest || 'Newest added',
+        mostWatched: t.sortMostWatched || 'Most watched',
+    };
+    const parts = [select('sort', t.sortLabel || 'Sort', CATEGORY_SORTS.map(sort => [sort, sortLabels[sort]]))];
+
+    const languages = [...new Set(movies.flatMap(getMovieLanguages))].sort();
+    if (languages.length > 0) {
+        parts.push(select('language', t.filterLanguage || 'Language', [['', t.filterAnyLanguage || 'All languages'], ...languages.map(language => [language, getMovieLanguageName(language)])]));
+    }
+
+    const years = [...new Set(movies.map(getMovieYear).filter(Boolean))].sort((a, b) => b - a);
+    if (years.length > 0) {
+        parts.push(select('year', t.filterYear || 'Year', [['', t.filterAnyYear || 'All years'], ...years.map(year => [String(year), String(year)])]));
+    }
+
+    if (movies.some(movie => getMovieDuration(movie) !== null)) {
+        const durationLabels = {
+            short: t.durationShort || 'Under 40 min',
+            medium: t.durationMedium || '40-100 min',
+            long: t.durationLong || 'Over 100 min',
+        };
+        parts.push(select('duration', t.filterDuration || 'Duration', [['', t.filterAnyDuration || 'Any length'], ...Object.keys(DURATION_FILTERS).map(bucket => [bucket, durationLabels[bucket]])]));
+    }
+
+    return `<div class="col-span-full w-full flex flex-wrap gap-2 mb-2" data-category="${escapeHtml(category)}">${parts.join('')}</div>`;
+}
+
+/**
+ * Renders a category's controls, play-all button and (sorted, filtered) cards.
+ */
+function renderCategoryMovies(container, category) {
+    const t = getStrings();
+    const movies = getCategoryMovies(category);
+
+    container.insertAdjacentHTML('beforeend', renderCategoryControls(category));
+
+    if (movies.length === 0) {
+        container.insertAdjacentHTML('beforeend', `
+            <div class="col-span-full text-center w-full text-gray-500 py-4" data-category="${escapeHtml(category)}">
+                <p>${t.noFilterMatches || 'No movies match these filters.'}</p>
+                <button onclick="resetCategoryControls(getElementCategory(this))" class="mt-2 text-sm text-primary hover:underline">${t.clearFilters || 'Clear filters'}</button>
+            </div>
+        `);
+        return;
+    }
+
+    container.insertAdjacentHTML('beforeend', renderPlayAllButton('playAllCategory(getElementCategory(this))'));
+    container.lastElementChild.dataset.category = category;
+    appendMovieGrid(container, movies);
+}
+
+
+// -------------------------------------------------------------------------
+// 16. MOVIE DETAIL SHEET (Metadata / Episodes / Related Titles)
+// -------------------------------------------------------------------------
+
+const RELATED_LIMIT = 12;
+
+/**
+ * Normalizes a list-ish metadata field (array or comma-separated string).
+ */
+function getMovieList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return items
+        .map(item => (isPlainObject(item) ? item.name : item))
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(item => item.trim());
+}
+
+function getMovieTags(movie) {
+    return [...new Set([...getMovieList(movie.tags), ...getMovieList(movie.genres), ...getMovieList(movie.genre)])];
+}
+
+function formatRuntime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = Math.round(minutes % 60);
+    if (hours === 0) return translate('runtimeMinutes', { m: rest }, '{m}m');
+    return translate('runtimeHoursMinutes', { h: hours, m: rest }, '{h}h {m}m');
+}
+
+/**
+ * The episode a series should continue with: the last one watched if it was
+ * left part-way, the one after it if it was finished, otherwise the first.
+ */
+function getContinueEpisode(series) {
+    const last = watchHistory.find(entry => series.episodes.some(episode => episode.id === entry.id));
+    if (!last) return series.episodes[0];
+
+    const index = series.episodes.findIndex(episode => episode.id === last.id);
+    const finished = last.position === 0 && last.duration > 0;
+    return finished && series.episodes[index + 1] ? series.episodes[index + 1] : series.episodes[index];
+}
+
+function getNextEpisode(movie) {
+    if (!movie || !movie.seriesId) return null;
+    const series = findMovieById(movie.seriesId);
+    return (series && series.episodes[movie.episodeNumber]) || null;
+}
+
+window.playNextEpisode = function() {
+    const next = getNextEpisode(currentPlayingMovie);
+    if (next) playVideo(next.id);
+}
+
+function updateNextEpisodeButton() {
+    const button = document.getElementById('next-episode-btn');
+    if (button) button.classList.toggle('hidden', !getNextEpisode(currentPlayingMovie));
+}
+
+/**
+ * Maps each movie ID to the categories listing it, in catalog order.
+ * Nav-only categories like trending are left out.
+ */
+function getCategoriesById() {
+    const categoriesById = new Map();
+    for (const category in videos) {
+        if (NAV_CATEGORIES.includes(category)) continue;
+        videos[category].forEach(item => {
+            if (!categoriesById.has(item.id)) categoriesById.set(item.id, []);
+            categoriesById.get(item.id).push(category);
+        });
+    }
+    return categoriesById;
+}
+
+/**
+ * Movies sharing categories (weight 1) or tags (weight 2) with `movie`,
+ * best matches first. Nav-only categories like trending don't count.
+ */
+function getRelatedMovies(movie) {
+    const categoriesById = getCategoriesById();
+    const categories = categoriesById.get(movie.id) || [];
+    const tags = getMovieTags(movie).map(tag => tag.toLowerCase());
+    const scored = [];
+
+    movieById.forEach(candidate => {
+        if (candidate.id === movie.id || candidate.seriesId || !isMovieAllowed(candidate)) return;
+        const sharedCategories = (categoriesById.get(candidate.id) || []).filter(category => categories.includes(category)).length;
+        const sharedTags = getMovieTags(candidate).filter(tag => tags.includes(tag.toLowerCase())).length;
+        const score = sharedCategories + sharedTags * 2;
+        if (score > 0) scored.push({ candidate, score });
+    });
+
+    return scored
+        .sort((a, b) => b.score - a.score)
+        .slice(0, RELATED_LIMIT)
+        .map(item => item.candidate);
+}
+
+/**
+ * Opens the detail sheet for a movie or series. For an episode, its series
+ * is shown with that episode highlighted.
+ */
+window.openMovieDetail = function(movieId) {
+    const requested = findMovieById(movieId);
+    if (!requested) return;
+
+    const movie = requested.seriesId ? findMovieById(requested.seriesId) || requested : requested;
+    if (!isMovieAllowed(movie)) {
+        unlockParentalControls().then(unlocked => {
+            if (unlocked) openMovieDetail(movieId);
+        });
+        return;
+    }
+
+    const t = getStrings();
+    const content = document.getElementById('detail-content');
+
+    const year = getMovieYear(movie);
+    const runtime = getMovieDuration(movie);
+    const meta = [
+        movie.rating,
+        year,
+        runtime ? formatRuntime(runtime) : null,
+        ...getMovieLanguages(movie).map(getMovieLanguageName),
+        movie.episodes ? translate('episodeCount', { count: movie.episodes.length }, '{count} episodes') : null,
+    ].filter(Boolean);
+    const synopsis = movie.synopsis || movie.description;
+    const cast = getMovieList(movie.cast);
+    const tags = getMovieTags(movie);
+
+    let playTarget = movie;
+    let playLabel = getResumePosition(movie.id) > 0 ? (t.resume || 'Resume') : (t.nowPlaying || 'Play Now');
+    if (movie.episodes) {
+        playTarget = requested.seriesId ? requested : getContinueEpisode(movie);
+        playLabel = translate('playEpisode', { number: playTarget.episodeNumber }, 'Play E{number}');
+    }
+
+    content.innerHTML = `
+        <div class="relative w-full aspect-video bg-black">
+            <img src="${escapeHtml(movie.thumb)}" alt="" onerror="this.onerror=null;this.src='${THUMB_PLACEHOLDER}'" class="w-full h-full object-cover opacity-80">
+            <button onclick="closeMovieDetail()" class="absolute top-3 right-3 bg-black/60 hover:bg-black/80 text-white rounded-full w-8 h-8 flex items-center justify-center" title="${t.close || 'Close'}" aria-label="${t.close || 'Close'}">✕</button>
+        </div>
+        <div class="p-4 space-y-4">
+            <div>
+                <h2 id="detail-title" class="text-2xl font-bold text-primary">${escapeHtml(movie.title)}</h2>
+                ${meta.length ? `<p class="text-sm text-gray-400 mt-1">${meta.map(escapeHtml).join(' · ')}</p>` : ''}
+            </div>
+
+            <div class="flex space-x-2">
+                <button data-movie-id="${escapeHtml(playTarget.id)}" onclick="closeMovieDetail(); playVideo(getCardMovieId(this))" class="flex-1 bg-primary text-black font-semibold py-2 rounded-lg hover:bg-opacity-90 transition duration-200">▶ ${playLabel}</button>
+                <button data-movie-id="${escapeHtml(movie.id)}" onclick="openMovieActions(getCardMovieId(this))" class="bg-gray-700 hover:bg-gray-600 text-white px-4 rounded-lg transition duration-200" title="${t.movieActions || 'More'}">⋮</button>
+            </div>
+
+            ${synopsis ? `<p class="text-sm leading-relaxed text-white/90">${escapeHtml(synopsis)}</p>` : ''}
+            ${cast.length ? `<p class="text-sm"><span class="text-gray-400">${t.castLabel || 'Cast:'}</span> ${cast.map(escapeHtml).join(', ')}</p>` : ''}
+            ${tags.length ? `<div class="flex flex-wrap gap-1">${tags.map(tag => `<span class="text-xs bg-gray-700 text-white rounded-full px-2 py-1">${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+
+            ${movie.episodes ? renderEpisodeList(movie, requested.seriesId ? requested.id : null) : ''}
+            <div id="related-titles"></div>
+        </div>
+    `;
+
+    renderRelatedTitles(movie, content.querySelector('#related-titles'));
+    const sheet = document.getElementById('detail-sheet');
+    sheet.classList.remove('hidden');
+    content.scrollTop = 0;
+    trapFocus(sheet, closeMovieDetail);
+}
+
+window.closeMovieDetail = function() {
+    const sheet = document.getElementById('detail-sheet');
+    sheet.classList.add('hidden');
+    releaseFocus(sheet);
+}
+
+function renderEpisodeList(series, highlightId) {
+    const t = getStrings();
+
+    const rows = series.episodes.map(episode => {
+        const entry = watchHistory.find(item => item.id === episode.id);
+        const runtime = getMovieDuration(episode);
+        const progress = entry && entry.duration > 0
+            ? Math.min(100, Math.round(((entry.position || entry.duration) / entry.duration) * 100))
+            : 0;
+        const active = episode.id === highlightId || (currentPlayingMovie && currentPlayingMovie.id === episode.id);
+
+        return `
+            <li role="button" tabindex="0" ${active ? 'aria-current="true"' : ''} data-movie-id="${escapeHtml(episode.id)}" onclick="closeMovieDetail(); playVideo(getCardMovieId(this))" class="flex items-center space-x-3 p-2 rounded-lg cursor-pointer hover:bg-gray-700 ${active ? 'bg-gray-800 border border-primary' : ''}">
+                <span class="w-8 text-center text-gray-400 font-semibold">${episode.episodeNumber}</span>
+                <div class="flex-1 min-w-0">
+                    <p class="truncate">${escapeHtml(episode.episodeTitle || translate('episodeLabel', { number: episode.episodeNumber }, 'Episode {number}'))}</p>
+                    ${progress ? `<div class="h-1 bg-gray-700 rounded mt-1"><div class="h-full bg-primary rounded" style="width: ${progress}%"></div></div>` : ''}
+                </div>
+                ${runtime ? `<span class="text-xs text-gray-400">${formatRuntime(runtime)}</span>` : ''}
+            </li>
+        `;
+    }).join('');
+
+    return `
+        <div>
+            <h3 class="text-lg font-semibold mb-2">${t.episodesTitle || 'Episodes'}</h3>
+            <ol class="space-y-1">${rows}</ol>
+        </div>
+    `;
+}
+
+function renderRelatedTitles(movie, container) {
+    const related = getRelatedMovies(movie);
+    if (related.length === 0) return;
+
+    const t = getStrings();
+    container.innerHTML = `
+        <h3 class="text-lg font-semibold mb-2">${t.relatedTitles || 'Related Titles'}</h3>
+        <div class="flex space-x-2 overflow-x-auto pb-2"></div>
+    `;
+
+    const list = container.querySelector('div');
+    related.forEach(item => {
+        const card = createMovieCard(item);
+        card.classList.remove('w-full');
+        card.classList.add('w-32', 'flex-shrink-0');
+        list.appendChild(card);
+    });
+}
+
+
+// -------------------------------------------------------------------------
+// 17. PARENTAL CONTROLS (PIN / Ratings / 18+ Gate)
+// -------------------------------------------------------------------------
+
+// `pin` is null until a parent sets one; without a PIN nothing is restricted.
+// The rating limit is per profile (see getActiveProfile().maxRating); the PIN is shared.
+// `allowUnrated` lets movies without a rating through a limit below 18+.
+let parentalControls = { pin: null, hideAdultEntry: false, allowUnrated: false, failedAttempts: 0, lockedUntil: 0 };
+let parentalUnlockedUntil = 0;
+let parentalRelockTimer = null;
+let pinRequest = null;
+
+function loadParentalControls() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('parentalControls'));
+        if (isPlainObject(stored)) parentalControls = { ...parentalControls, ...stored };
+    } catch (e) { /* Error */ }
+}
+
+function saveParentalControls() {
+    try {
+        localStorage.setItem('parentalControls', JSON.stringify(parentalControls));
+    } catch (e) { /* Error */ }
+}
+
+/**
+ * Maps a catalog rating (including common aliases like TV-MA) to one of
+ * RATINGS, or null when it isn't recognized.
+ */
+function normalizeRating(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim().toUpperCase();
+    const rating = RATINGS.find(item => item.id === text);
+    return rating ? rating.id : RATING_ALIASES[text] || null;
+}
+
+function getRatingAge(ratingId) {
+    const rating = RATINGS.find(item => item.id === ratingId);
+    return rating ? rating.age : 0;
+}
+
+function isParentalUnlocked() {
+    return Date.now() < parentalUnlockedUntil;
+}
+
+/**
+ * Whether a movie may be shown and played. An unrated movie could be
+ * anything, so below 18+ it needs `allowUnrated`.
+ */
+function isMovieAllowed(movie) {
+    if (!parentalControls.pin || isParentalUnlocked()) return true;
+    const maxAge = getRatingAge(getActiveProfile().maxRating);
+    if (!movie.rating) return parentalControls.allowUnrated || maxAge >= getRatingAge('18+');
+    return getRatingAge(movie.rating) <= maxAge;
+}
+
+/**
+ * PBKDF2-SHA-256 via Web Crypto. Pages served over plain http have no
+ * crypto.subtle, so those fall back to an iterated cyrb53 (weaker, but still
+ * not the PIN in clear text).
+ */
+async function hashPin(pin, salt, algorithm) {
+    if (algorithm === 'pbkdf2') {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(pin), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: PIN_HASH_ITERATIONS },
+            key,
+            256
+        );
+        return [...new Uint8Array(bits)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    let hash = pin;
+    for (let i = 0; i < 1000; i++) hash = hashString(`${salt}:${hash}`, i);
+    return hash;
+}
+
+async function createPinRecord(pin) {
+    const saltBytes = new Uint8Array(16);
+    crypto.getRandomValues(saltBytes);
+    const salt = [...saltBytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    const algorithm = window.crypto && crypto.subtle ? 'pbkdf2' : 'cyrb53';
+    return { algorithm, salt, hash: await hashPin(pin, salt, algorithm) };
+}
+
+/**
+ * Checks a PIN attempt, counting failures. After PIN_MAX_ATTEMPTS wrong
+ * tries, attempts are refused until the lockout ends (this survives reloads).
+ * Returns null when correct, otherwise the message to show.
+ */
+async function verifyPinAttempt(pin) {
+    const lockedFor = parentalControls.lockedUntil - Date.now();
+    if (lockedFor > 0) {
+        return translate('pinLockedOut', { count: Math.ceil(lockedFor / 60000) }, 'Too many wrong PINs. Try again in {count} min.');
+    }
+
+    const record = parentalControls.pin;
+    if (await hashPin(pin, record.salt, record.algorithm) === record.hash) {
+        parentalControls.failedAttempts = 0;
+        saveParentalControls();
+        return null;
+    }
+
+    parentalControls.failedAttempts += 1;
+    if (parentalControls.failedAttempts >= PIN_MAX_ATTEMPTS) {
+        parentalControls.failedAttempts = 0;
+        parentalControls.lockedUntil = Date.now() + PIN_LOCKOUT_MS;
+        saveParentalControls();
+        return translate('pinLockedOut', { count: Math.ceil(PIN_LOCKOUT_MS / 60000) }, 'Too many wrong PINs. Try again in {count} min.');
+    }
+    saveParentalControls();
+    return translate('pinWrong', { count: PIN_MAX_ATTEMPTS - parentalControls.failedAttempts }, 'Wrong PIN. {count} tries left.');
+}
+
+/**
+ * Shows the PIN modal. `validate(pin)` returns an error message to keep the
+ * modal open, or null to accept. Resolves with the PIN, or null if cancelled.
+ */
+function promptForPin(title, message, validate) {
+    if (pinRequest) pinRequest.resolve(null);
+
+    document.getElementById('pin-title').textContent = title;
+    document.getElementById('pin-message').textContent = message;
+    document.getElementById('pin-error').classList.add('hidden');
+    const input = document.getElementById('pin-input');
+    input.value = '';
+
+    const modal = document.getElementById('pin-modal');
+    modal.classList.remove('hidden');
+    trapFocus(modal, cancelPin);
+    input.focus();
+
+    return new Promise(resolve => {
+        pinRequest = {
+            resolve,
+            validate: async pin => {
+                if (!/^\d+$/.test(pin) || pin.length < PIN_MIN_LENGTH) {
+                    return translate('pinTooShort', { count: PIN_MIN_LENGTH }, 'Enter at least {count} digits.');
+                }
+                return validate ? validate(pin) : null;
+            },
+        };
+    });
+}
+
+window.submitPin = async function() {
+    if (!pinRequest) return;
+    const request = pinRequest;
+    const input = document.getElementById('pin-input');
+    const pin = input.value.trim();
+
+    const error = await request.validate(pin);
+    if (pinRequest !== request) return;
+    if (error) {
+        const errorText = document.getElementById('pin-error');
+        errorText.textContent = error;
+        errorText.classList.remove('hidden');
+        input.value = '';
+        input.focus();
+        return;
+    }
+
+    pinRequest = null;
+    closePinModal();
+    request.resolve(pin);
+}
+
+window.cancelPin = function() {
+    if (!pinRequest) return;
+    const request = pinRequest;
+    pinRequest = null;
+    closePinModal();
+    request.resolve(null);
+}
+
+function closePinModal() {
+    const modal = document.getElementById('pin-modal');
+    modal.classList.add('hidden');
+    releaseFocus(modal);
+}
+
+/**
+ * Asks for the PIN (unless there is none or it was entered recently) and
+ * lifts all restrictions for PARENTAL_UNLOCK_MS. Resolves true when unlocked.
+ */
+async function unlockParentalControls() {
+    if (!parentalControls.pin || isParentalUnlocked()) return true;
+
+    const t = getStrings();
+    const pin = await promptForPin(t.pinTitle || 'Parental PIN', t.pinUnlockMessage || 'Enter the parental PIN to continue.', verifyPinAttempt);
+    if (pin === null) return false;
+
+    parentalUnlockedUntil = Date.now() + PARENTAL_UNLOCK_MS;
+    clearTimeout(parentalRelockTimer);
+    parentalRelockTimer = setTimeout(lockParentalControls, PARENTAL_UNLOCK_MS);
+    applyParentalChange();
+    return true;
+}
+
+window.lockParentalControls = function() {
+    parentalUnlockedUntil = 0;
+    clearTimeout(parentalRelockTimer);
+    applyParentalChange();
+}
+
+/**
+ * Re-renders everything that depends on what is allowed.
+ */
+function applyParentalChange() {
+    renderCategoryMenu();
+    applySettings();
+    refreshActiveView();
+}
+
+/**
+ * Gate for the 18+ webview: the PIN when one is set (even while unlocked),
+ * otherwise an explicit age confirmation.
+ */
+async function confirmAdultAccess() {
+    const t = getStrings();
+
+    if (parentalControls.pin) {
+        const pin = await promptForPin(t.adultContent || 'Adult Content (18+)', t.pinAdultMessage || 'Enter the parental PIN to open 18+ content.', verifyPinAttempt);
+        return pin !== null;
+    }
+
+    return new Promise(resolve => {
+        showActionDialog(t.adultContent || 'Adult Content (18+)', t.ageConfirmMessage || 'This section is only for adults aged 18 or over.', [
+            { label: t.ageConfirmYes || 'I am 18 or older', style: 'danger', onClick: () => resolve(true) },
+            { label: t.cancel || 'Cancel', style: 'secondary', onClick: () => resolve(false) },
+        ]);
+    });
+}
+
+/**
+ * Asks for a new PIN twice and returns the stored record, or null if cancelled.
+ */
+async function askForNewPin() {
+    const t = getStrings();
+    const pin = await promptForPin(t.pinTitle || 'Parental PIN', t.pinNewMessage || 'Choose a PIN of at least 4 digits.');
+    if (pin === null) return null;
+
+    const confirmed = await promptForPin(t.pinTitle || 'Parental PIN', t.pinConfirmMessage || 'Enter the same PIN again.', attempt =>
+        attempt === pin ? null : (t.pinMismatch || 'The PINs do not match.'));
+    return confirmed === null ? null : createPinRecord(pin);
+}
+
+window.setParentalPin = async function() {
+    if (!(await unlockParentalControls())) return;
+
+    const record = await askForNewPin();
+    if (!record) return;
+
+    parentalControls.pin = record;
+    parentalControls.failedAttempts = 0;
+    saveParentalControls();
+
+    const t = getStrings();
+    showCustomAlert(t.parentalTitle || 'Parental Controls', t.pinSaved || 'PIN saved.');
+    applyParentalChange();
+}
+
+window.removeParentalPin = async function() {
+    if (!(await unlockParentalControls())) return;
+
+    parentalControls = { ...parentalControls, pin: null, hideAdultEntry: false, allowUnrated: false, failedAttempts: 0, lockedUntil: 0 };
+    saveParentalControls();
+    profiles.forEach(profile => { profile.maxRating = '18+'; });
+    saveProfiles();
+    lockParentalControls();
+}
+
+window.setMaxRating = async function(ratingId) {
+    if (!normalizeRating(ratingId) || !(await unlockParentalControls())) {
+        refreshActiveView();
+        return;
+    }
+    getActiveProfile().maxRating = normalizeRating(ratingId);
+    saveProfiles();
+    applyParentalChange();
+}
+
+window.setHideAdultEntry = async function(hidden) {
+    if (!(await unlockParentalControls())) {
+        refreshActiveView();
+        return;
+    }
+    parentalControls.hideAdultEntry = Boolean(hidden);
+    saveParentalControls();
+    applyParentalChange();
+}
+
+window.setAllowUnrated = async function(allowed) {
+    if (!(await unlockParentalControls())) {
+        refreshActiveView();
+        return;
+    }
+    parentalControls.allowUnrated = Boolean(allowed);
+    saveParentalControls();
+    applyParentalChange();
+}
+
+/**
+ * Profile card for the PIN, the rating limit, unrated movies and the 18+ entry.
+ */
+function renderParentalControlsCard(t) {
+    if (!parentalControls.pin) {
+        return `
+            <div class="p-4 bg-gray-800 rounded-lg shadow-lg">
+                <h3 class="text-xl font-semibold mb-1">${t.parentalTitle || 'Parental Controls'}</h3>
+                <p class="text-sm text-gray-400 mb-3">${t.parentalHint || 'Set a PIN to limit content by rating and lock the 18+ section.'}</p>
+                <button onclick="setParentalPin()" class="w-full bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 rounded transition duration-200">${t.setPin || 'Set PIN'}</button>
+            </div>
+        `;
+    }
+
+    const ratingLabel = rating => (t['rating' + rating.id.replace(/\W/g, '')] || rating.id);
+    const unlocked = isParentalUnlocked();
+
+    return `
+        <div class="p-4 bg-gray-800 rounded-lg shadow-lg">
+            <div class="flex justify-between items-center mb-3">
+                <h3 class="text-xl font-semibold">${t.parentalTitle || 'Parental Controls'}</h3>
+                ${unlocked
+                    ? `<button onclick="lockParentalControls()" class="text-sm text-primary hover:underline">🔓 ${t.lockNow || 'Lock now'}</button>`
+                    : `<span class="text-sm text-gray-400">🔒 ${t.locked || 'Locked'}</span>`}
+            </div>
+
+            <div class="flex justify-between items-center mb-4">
+                <p>${translate('maxRatingLabelFor', { name: escapeHtml(getActiveProfile().name) }, 'Allowed for {name}:')}</p>
+                <select onchange="setMaxRating(this.value)" class="bg-gray-700 text-white p-2 rounded">
+                    ${RATINGS.map(rating => `<option value="${rating.id}" ${getActiveProfile().maxRating === rating.id ? 'selected' : ''}>${escapeHtml(ratingLabel(rating))}</option>`).join('')}
+                </select>
+            </div>
+
+            <label class="flex justify-between items-center mb-4 cursor-pointer">
+                <span>${t.hideAdultEntry || 'Hide the 18+ button'}</span>
+                <input type="checkbox" onchange="setHideAdultEntry(this.checked)" class="w-5 h-5" ${parentalControls.hideAdultEntry ? 'checked' : ''}>
+            </label>
+
+            <label class="flex justify-between items-center mb-4 cursor-pointer">
+                <span>${t.allowUnrated || 'Allow unrated titles below 18+'}</span>
+                <input type="checkbox" onchange="setAllowUnrated(this.checked)" class="w-5 h-5" ${parentalControls.allowUnrated ? 'checked' : ''}>
+            </label>
+
+            <div class="flex space-x-2">
+                <button onclick="setParentalPin()" class="flex-1 bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 rounded transition duration-200">${t.changePin || 'Change PIN'}</button>
+                <button onclick="removeParentalPin()" class="flex-1 bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 rounded transition duration-200">${t.removePin || 'Remove PIN'}</button>
+            </div>
+        </div>
+    `;
+}
+
+
+// -------------------------------------------------------------------------
+// 18. LOCAL PROFILES (Switcher / Namespaced Storage)
+// -------------------------------------------------------------------------
+
+// Per-profile data lives under `profile:<id>:<key>`; these were global keys before profiles.
+const PROFILE_KEYS = ['favorites', 'userSettings', 'watchHistory', 'playlists', 'watchStats'];
+const PROFILE_AVATARS = ['😀', '🦁', '🐼', '🐯', '🦊', '🐸', '🐵', '🐧', '🦄', '🐙'];
+const PROFILE_LIMIT = 8;
+
+let profiles = [];
+let activeProfileId = 'default';
+
+function profileKey(key) {
+    return `profile:${activeProfileId}:${key}`;
+}
+
+function getActiveProfile() {
+    return profiles.find(profile => profile.id === activeProfileId) || { id: activeProfileId, name: '', avatar: PROFILE_AVATARS[0], maxRating: '18+' };
+}
+
+function saveProfiles() {
+    try {
+        localStorage.setItem('profiles', JSON.stringify({ activeId: activeProfileId, list: profiles }));
+    } catch (e) { /* Error */ }
+}
+
+/**
+ * Reads the profile list. On first run, the data saved before profiles
+ * existed is moved into a default profile.
+ */
+async function loadProfiles() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem('profiles'));
+    } catch (e) { /* Error */ }
+
+    if (isPlainObject(stored) && Array.isArray(stored.list)) {
+        profiles = stored.list
+            .filter(profile => isPlainObject(profile) && typeof profile.id === 'string')
+            .map(profile => ({ name: '', avatar: PROFILE_AVATARS[0], maxRating: '18+', ...profile }));
+    }
+    if (profiles.length > 0) {
+        activeProfileId = profiles.some(profile => profile.id === stored.activeId) ? stored.activeId : profiles[0].id;
+        return;
+    }
+
+    await migrateToProfiles();
+}
+
+async function migrateToProfiles() {
+    let language = defaultSettings.language;
+    try {
+        language = JSON.parse(localStorage.getItem('userSettings')).language || language;
+    } catch (e) { /* no saved settings */ }
+    // The default profile is named in the language the user already had
+    language = normalizeLanguage(language);
+    await ensureLocale(language);
+    const t = translations[language] || {};
+    activeProfileId = 'default';
+    profiles = [{
+        id: 'default',
+        name: t.defaultProfileName || 'Me',
+        avatar: PROFILE_AVATARS[0],
+        // The rating limit used to be stored with the PIN
+        maxRating: normalizeRating(parentalControls.maxRating) || '18+',
+        createdAt: Date.now(),
+    }];
+
+    try {
+        PROFILE_KEYS.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value === null) return;
+            localStorage.setItem(profileKey(key), value);
+            localStorage.removeItem(key);
+        });
+    } catch (e) { /* Error */ }
+
+    if ('maxRating' in parentalControls) {
+        delete parentalControls.maxRating;
+        saveParentalControls();
+    }
+    saveProfiles();
+}
+
+/**
+ * Loads the active profile's settings, favorites, history and playlists.
+ */
+function loadProfileState() {
+    const storedSettings = localStorage.getItem(profileKey('userSettings'));
+    const storedFavorites = localStorage.getItem(profileKey('favorites'));
+    const storedHistory = localStorage.getItem(profileKey('watchHistory'));
+    const storedPlaylists = localStorage.getItem(profileKey('playlists'));
+
+    try {
+        currentSettings = storedSettings ? { ...defaultSettings, ...JSON.parse(storedSettings) } : { ...defaultSettings };
+    } catch (e) {
+        currentSettings = { ...defaultSettings };
+    }
+
+    try {
+        favorites = storedFavorites ? JSON.parse(storedFavorites) : [];
+        if (!Array.isArray(favorites)) favorites = [];
+    } catch (e) {
+        favorites = [];
+    }
+
+    try {
+        watchHistory = storedHistory ? JSON.parse(storedHistory) : [];
+        if (!Array.isArray(watchHistory)) watchHistory = [];
+    } catch (e) {
+        watchHistory = [];
+    }
+
+    try {
+        playlists = storedPlaylists ? JSON.parse(storedPlaylists) : [];
+        if (!Array.isArray(playlists)) playlists = [];
+    } catch (e) {
+        playlists = [];
+    }
+
+    loadWatchStats();
+}
+
+function updateProfileBadge() {
+    const profile = getActiveProfile();
+    const button = document.getElementById('profile-switcher-btn');
+    if (!button) return;
+    document.getElementById('profile-avatar').textContent = profile.avatar;
+    button.title = profile.name;
+}
+
+window.openProfileSwitcher = function() {
+    const t = getStrings();
+    const actions = profiles.map(profile => ({
+        label: `${profile.avatar} ${profile.name}${profile.id === activeProfileId ? ' ✓' : ''}`,
+        style: profile.id === activeProfileId ? 'primary' : 'secondary',
+        onClick: profile.id === activeProfileId ? null : () => switchProfile(profile.id),
+    }));
+    actions.push({
+        label: t.manageProfiles || 'Manage Profiles',
+        onClick: () => changeNav(document.querySelector('.nav-btn[data-nav="profile"]')),
+    });
+    actions.push({ label: t.cancel || 'Cancel', style: 'secondary' });
+
+    showActionDialog(t.switchProfile || 'Switch Profile', t.switchProfileMessage || 'Who is watching?', actions);
+}
+
+/**
+ * Makes another profile active. Moving to a profile allowed more mature
+ * ratings than the current one needs the parental PIN.
+ */
+window.switchProfile = async function(profileId) {
+    const target = profiles.find(profile => profile.id === profileId);
+    if (!target || profileId === activeProfileId) return;
+
+    if (getRatingAge(target.maxRating) > getRatingAge(getActiveProfile().maxRating) && !(await unlockParentalControls())) {
+        return;
+    }
+
+    // Playback, the queue and the search belong to the previous profile
+    stopPlayback();
+    playQueue = [];
+    clearSearch();
+
+    activeProfileId = profileId;
+    saveProfiles();
+    loadProfileState();
+    parentalUnlockedUntil = 0;
+    await ensureLocale(normalizeLanguage(currentSettings.language));
+
+    renderCategoryMenu();
+    applySettings();
+    updateProfileBadge();
+    changeNav(document.querySelector('.nav-btn[data-nav="home"]'));
+}
+
+window.createProfile = function(name) {
+    const t = getStrings();
+    name = String(name || '').trim().slice(0, 30);
+    if (!name) return null;
+    if (profiles.length >= PROFILE_LIMIT) {
+        showCustomAlert(t.profilesTitle || 'Profiles', translate('profileLimit', { count: PROFILE_LIMIT }, 'Up to {count} profiles are supported.'));
+        return null;
+    }
+
+    const profile = {
+        id: 'p' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name,
+        avatar: PROFILE_AVATARS[profiles.length % PROFILE_AVATARS.length],
+        // New profiles start no less restricted than the one creating them
+        maxRating: getActiveProfile().maxRating,
+        createdAt: Date.now(),
+    };
+    profiles.push(profile);
+    saveProfiles();
+    refreshActiveView();
+    return profile;
+}
+
+window.renameProfile = function(profileId, name) {
+    const profile = profiles.find(item => item.id === profileId);
+    name = String(name || '').trim().slice(0, 30);
+    if (!profile || !name) return;
+
+    profile.name = name;
+    saveProfiles();
+    updateProfileBadge();
+    refreshActiveView();
+}
+
+window.setProfileAvatar = function(profileId, avatar) {
+    const profile = profiles.find(item => item.id === profileId);
+    if (!profile || !PROFILE_AVATARS.includes(avatar)) return;
+
+    profile.avatar = avatar;
+    saveProfiles();
+    updateProfileBadge();
+    refreshActiveView();
+}
+
+/**
+ * Deletes another profile and its data (after the PIN, when one is set, and
+ * confirmation). The active profile can't delete itself.
+ */
+window.deleteProfile = async function(profileId) {
+    const profile = profiles.find(item => item.id === profileId);
+    if (!profile || profileId === activeProfileId) return;
+    // Otherwise a kids profile could wipe everyone else's
+    if (!(await unlockParentalControls())) return;
+
+    const t = getStrings();
+    showActionDialog(t.deleteProfileTitle || 'Delete Profile', translate('deleteProfileMessage', { name: profile.name }, 'Delete "{name}" with its favorites, history and playlists?'), [
+        {
+            label: t.delete || 'Delete',
+            style: 'danger',
+            onClick: () => {
+                try {
+                    PROFILE_KEYS.forEach(key => localStorage.removeItem(`profile:${profileId}:${key}`));
+                } catch (e) { /* Error */ }
+                profiles = profiles.filter(item => item.id !== profileId);
+                saveProfiles();
+                refreshActiveView();
+            },
+        },
+        { label: t.cancel || 'Cancel', style: 'secondary' },
+    ]);
+}
+
+/**
+ * Profile card: edit the active profile and switch to, add or delete others.
+ */
+function renderProfilesCard(t) {
+    const active = getActiveProfile();
+
+    const avatarButtons = PROFILE_AVATARS.map(avatar => `
+        <button onclick="setProfileAvatar('${active.id}', '${avatar}')" class="text-2xl rounded-full w-10 h-10 flex items-center justify-center ${avatar === active.avatar ? 'bg-primary' : 'bg-gray-700 hover:bg-gray-600'}">${avatar}</button>
+    `).join('');
+
+    const otherRows = profiles.filter(profile => profile.id !== active.id).map(profile => `
+        <li class="flex items-center space-x-3 py-2">
+            <span class="text-2xl">${profile.avatar}</span>
+            <p class="flex-1 min-w-0 truncate">${escapeHtml(profile.name)}</p>
+            <button onclick="switchProfile('${profile.id}')" class="text-sm font-semibold text-primary border border-primary rounded-full px-3 py-1 hover:bg-primary hover:text-black transition duration-200">${t.switchTo || 'Switch'}</button>
+            <button onclick="deleteProfile('${profile.id}')" class="text-gray-400 hover:text-red-500 px-2" title="${t.delete || 'Delete'}">✕</button>
+        </li>
+    `).join('');
+
+    return `
+        <div class="p-4 bg-gray-800 rounded-lg shadow-lg">
+            <h3 class="text-xl font-semibold mb-3">${t.profilesTitle || 'Profiles'}</h3>
+
+            <div class="flex items-center space-x-2 mb-3">
+                <span class="text-4xl">${active.avatar}</span>
+                <input id="profile-name" type="text" maxlength="30" value="${escapeHtml(active.name)}" class="flex-1 min-w-0 bg-gray-700 text-white rounded-lg px-3 py-2 font-semibold">
+                <button onclick="renameProfile('${active.id}', document.getElementById('profile-name').value)" class="bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 px-3 rounded transition duration-200">${t.rename || 'Rename'}</button>
+            </div>
+            <div class="flex flex-wrap gap-2 mb-4">${avatarButtons}</div>
+
+            ${otherRows ? `<ul class="divide-y divide-gray-700 mb-3">${otherRows}</ul>` : ''}
+
+            <div class="flex space-x-2">
+                <input id="new-profile-name" type="text" maxlength="30" placeholder="${t.newProfilePlaceholder || 'New profile name'}" class="flex-1 min-w-0 bg-gray-700 text-white text-sm p-2 rounded">
+                <button onclick="createProfile(document.getElementById('new-profile-name').value)" class="bg-primary text-black font-semibold text-sm rounded-lg px-4 hover:bg-opacity-90">${t.addProfile || 'Add'}</button>
+            </div>
+        </div>
+    `;
+}
+
+
+// -------------------------------------------------------------------------
+// 19. LOCALIZATION (Locale Files / Fallback Chains / Plurals)
+// -------------------------------------------------------------------------
+
+// Languages and their native names come from the index; strings from locales/<code>.json.
+let localeIndex = { default: DEFAULT_LOCALE_INDEX.default, languages: { ...DEFAULT_LOCALE_INDEX.languages } };
+// code -> Promise of the parsed locale file (loaded once, on first use)
+const localeFiles = new Map();
+// code -> the loaded locale file, once its promise settled
+const loadedLocales = new Map();
+// UI strings a catalog ships, by language code (category labels, mostly)
+let catalogTranslations = {};
+
+async function loadLocaleIndex() {
+    try {
+        const response = await fetch(LOCALE_INDEX_URL);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        if (!isPlainObject(data) || !isPlainObject(data.languages) || Object.keys(data.languages).length === 0) {
+            throw new Error('Locale index has no "languages"');
+        }
+        localeIndex = {
+            default: data.languages[data.default] ? data.default : Object.keys(data.languages)[0],
+            languages: data.languages,
+        };
+    } catch (e) {
+        console.warn('Could not load the locale index; using the built-in languages.', e);
+    }
+}
+
+/**
+ * Maps a stored language to a listed locale code: old settings and catalogs
+ * used 'myanmar'/'english', and 'en-GB' falls back to 'en'. Unknown
+ * languages become the default one.
+ */
+function normalizeLanguage(language) {
+    const code = LEGACY_LANGUAGE_CODES[language] || String(language || '').toLowerCase();
+    if (localeIndex.languages[code]) return code;
+
+    const base = code.split('-')[0];
+    return localeIndex.languages[base] ? base : localeIndex.default;
+}
+
+function loadLocaleFile(code) {
+    if (!localeFiles.has(code)) {
+        const request = fetch(`${LOCALES_URL}${encodeURIComponent(code)}.json`)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                return response.json();
+            })
+            .then(data => (isPlainObject(data) ? data : {}))
+            .catch(e => {
+                console.warn(`Could not load locale "${code}".`, e);
+                return {};
+            })
+            .then(data => {
+                loadedLocales.set(code, data);
+                return data;
+            });
+        localeFiles.set(code, request);
+    }
+    return localeFiles.get(code);
+}
+
+/**
+ * The language itself, then each `_meta.fallback` in turn, ending at
+ * ROOT_LANGUAGE (the one locale that has every key).
+ */
+function getFallbackChain(code) {
+    const chain = [];
+    let next = code;
+    while (next && !chain.includes(next)) {
+        chain.push(next);
+        const meta = (loadedLocales.get(next) || {})._meta || {};
+        next = meta.fallback || (next !== ROOT_LANGUAGE ? ROOT_LANGUAGE : null);
+    }
+    return chain;
+}
+
+/**
+ * Loads a language and everything in its fallback chain, then builds its
+ * string table. Safe to call repeatedly; files are fetched once.
+ */
+async function ensureLocale(code) {
+    let chain = [];
+    let pending = [code];
+    while (pending.length > 0) {
+        await Promise.all(pending.map(loadLocaleFile));
+        chain = getFallbackChain(code);
+        pending = chain.filter(item => !loadedLocales.has(item));
+    }
+    buildTranslations(code);
+}
+
+/**
+ * Flattens a fallback chain into translations[code]. Within one language
+ * the locale file wins over catalog-provided strings; any string of the
+ * language wins over its fallbacks.
+ */
+function buildTranslations(code) {
+    const strings = {};
+    getFallbackChain(code).reverse().forEach(item => {
+        const { _meta, ...localeStrings } = loadedLocales.get(item) || {};
+        Object.assign(strings, catalogTranslations[item], localeStrings);
+    });
+    translations[code] = strings;
+}
+
+function rebuildTranslations() {
+    Object.keys(translations).forEach(buildTranslations);
+}
+
+/**
+ * Re-keys catalog `translations` by locale code.
+ */
+function normalizeCatalogTranslations(raw) {
+    const normalized = {};
+    for (const language in raw) {
+        if (!isPlainObject(raw[language])) continue;
+        const code = LEGACY_LANGUAGE_CODES[language] || language.toLowerCase();
+        normalized[code] = { ...raw[language], ...normalized[code] };
+    }
+    return normalized;
+}
+
+/**
+ * Strings of the current language, with fallbacks already applied.
+ */
+function getStrings() {
+    return translations[currentSettings.language] || {};
+}
+
+/**
+ * BCP 47 tag of the current language, for plural rules and dates.
+ */
+function getLocaleTag() {
+    const meta = (loadedLocales.get(currentSettings.language) || {})._meta || {};
+    return meta.locale || currentSettings.language || ROOT_LANGUAGE;
+}
+
+/**
+ * Looks up `key` and fills in `{name}` placeholders from `params`. A value
+ * may be an object of plural forms ({ one, other, ... }, or exact "=0"),
+ * picked by `params.count` under the current language's plural rules.
+ */
+function translate(key, params = {}, fallback = '') {
+    const strings = getStrings();
+    let message = strings[key] !== undefined ? strings[key] : fallback;
+
+    if (isPlainObject(message)) {
+        message = selectPluralForm(message, params.count);
+    }
+    return formatMessage(message, params);
+}
+
+function selectPluralForm(forms, count) {
+    const number = Number(count) || 0;
+    if (forms[`=${number}`] !== undefined) return forms[`=${number}`];
+
+    let category = 'other';
+    try {
+        category = new Intl.PluralRules(getLocaleTag()).select(number);
+    } catch (e) { /* unsupported tag: 'other' */ }
+    return forms[category] !== undefined ? forms[category] : forms.other;
+}
+
+function formatMessage(message, params) {
+    return String(message === undefined || message === null ? '' : message)
+        .replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? params[name] : placeholder));
+}
+
+/**
+ * Fills `[data-i18n]` text and `[data-i18n-placeholder]`/`[data-i18n-title]`/
+ * `[data-i18n-aria-label]` attributes under `root` from the current language.
+ */
+function applyTranslations(root = document) {
+    const strings = getStrings();
+    const lookup = key => (typeof strings[key] === 'string' ? strings[key] : null);
+
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        const text = lookup(el.dataset.i18n);
+        if (text) el.textContent = text;
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        const text = lookup(el.dataset.i18nPlaceholder);
+        if (text) el.placeholder = text;
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => {
+        const text = lookup(el.dataset.i18nTitle);
+        if (text) el.title = text;
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+        const text = lookup(el.dataset.i18nAriaLabel);
+        if (text) el.setAttribute('aria-label', text);
+    });
+}
+
+/**
+ * Options for the language picker, one per language in the locale index.
+ */
+function renderLanguageOptions() {
+    return Object.entries(localeIndex.languages).map(([code, name]) => `
+        <option value="${escapeHtml(code)}" ${currentSettings.language === code ? 'selected' : ''}>${escapeHtml(name)}</option>
+    `).join('');
+}
+
+
+// -------------------------------------------------------------------------
+// 20. KEYBOARD, TV-REMOTE AND ACCESSIBILITY (Focus / Shortcuts / ARIA)
+// -------------------------------------------------------------------------
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+const SEEK_STEP_SECONDS = 10;
+
+// Arrow keys (and the D-pad, which sends the same keys) move focus spatially.
+const ARROW_DIRECTIONS = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+
+// Remotes that report no `key`: Android back / DPAD_CENTER, Tizen and webOS back, media keys.
+const REMOTE_KEY_CODES = {
+    4: 'Back',
+    10009: 'Back',
+    461: 'Back',
+    23: 'Enter',
+    179: 'MediaPlayPause',
+    415: 'MediaPlay',
+    19: 'MediaPause',
+    417: 'MediaFastForward',
+    412: 'MediaRewind',
+};
+
+// Player shortcuts; each returns true when it handled the key.
+const PLAYER_SHORTCUTS = {
+    ' ': () => togglePlayback(),
+    k: () => togglePlayback(),
+    MediaPlayPause: () => togglePlayback(),
+    MediaPlay: () => setPlaybackPaused(false),
+    MediaPause: () => setPlaybackPaused(true),
+    f: () => {
+        toggleFullScreen();
+        return true;
+    },
+    j: () => seekBy(-SEEK_STEP_SECONDS),
+    l: () => seekBy(SEEK_STEP_SECONDS),
+    MediaRewind: () => seekBy(-SEEK_STEP_SECONDS),
+    MediaFastForward: () => seekBy(SEEK_STEP_SECONDS),
+    MediaTrackNext: () => {
+        if (!playNextInQueue()) playNextEpisode();
+        return true;
+    },
+    c: () => toggleCaptions(),
+    ClosedCaptionToggle: () => toggleCaptions(),
+    Subtitle: () => toggleCaptions(),
+};
+
+// Open modals, innermost last: { modal, onEscape, returnFocus }
+const focusTraps = [];
+
+function initKeyboardNavigation() {
+    document.addEventListener('keydown', handleKeydown);
+    document.addEventListener('focusin', keepFocusInModal);
+    observeActiveStates();
+}
+
+function getKeyName(event) {
+    if (event.key === 'GoBack' || event.key === 'BrowserBack') return 'Back';
+    if (event.key === 'Esc') return 'Escape';
+    if (event.key && event.key !== 'Unidentified') {
+        return event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    }
+    return REMOTE_KEY_CODES[event.keyCode] || '';
+}
+
+function isTextField(el) {
+    return el.tagName === 'TEXTAREA' || (el.tagName === 'INPUT' && !['button', 'checkbox', 'radio', 'submit', 'file'].includes(el.type));
+}
+
+/**
+ * Whether Up/Down would change a select's value rather than leave it.
+ */
+function canStepSelect(select, direction) {
+    return direction === 'up' ? select.selectedIndex > 0 : select.selectedIndex < select.options.length - 1;
+}
+
+function handleKeydown(event) {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+
+    const key = getKeyName(event);
+    const target = event.target;
+    const trap = focusTraps[focusTraps.length - 1];
+
+    if (key === 'Escape' || key === 'Back') {
+        if (trap) {
+            event.preventDefault();
+            trap.onEscape();
+        } else if (key === 'Escape' && isTextField(target)) {
+            target.blur();
+        }
+        // Without a modal, Back keeps its default (history back, handled by the router)
+        return;
+    }
+
+    if (key === 'Tab') {
+        if (trap && cycleFocus(trap.modal, event.shiftKey)) event.preventDefault();
+        return;
+    }
+
+    // Text fields and selects keep Left/Right; Up/Down move on (e.g. from search into the
+    // grid), except in a textarea (moves between lines) or a select that can still step
+    const inField = isTextField(target) || target.tagName === 'SELECT';
+    const direction = ARROW_DIRECTIONS[key];
+    if (direction) {
+        if (inField && (direction === 'left' || direction === 'right')) return;
+        if (target.tagName === 'TEXTAREA') return;
+        if (target.tagName === 'SELECT' && canStepSelect(target, direction)) return;
+        if (moveFocus(direction)) event.preventDefault();
+        return;
+    }
+    if (inField) return;
+
+    // Elements acting as buttons get the keyboard activation native buttons have,
+    // as do native ones when a remote's OK key doesn't arrive as Enter
+    const customButton = target.getAttribute('role') === 'button' && !/^(BUTTON|A)$/.test(target.tagName);
+    const remoteOk = key === 'Enter' && event.key !== 'Enter';
+    if (remoteOk || ((key === 'Enter' || key === ' ') && customButton)) {
+        event.preventDefault();
+        target.click();
+        return;
+    }
+
+    // Space on a focused control activates it rather than the player
+    if (key === ' ' && target !== document.body && target.matches(FOCUSABLE_SELECTOR)) return;
+
+    const shortcut = PLAYER_SHORTCUTS[key];
+    if (shortcut && shortcut()) event.preventDefault();
+}
+
+/**
+ * Plays or pauses the active backend. Plain iframe embeds can't be
+ * controlled from here and are left alone.
+ */
+function togglePlayback() {
+    if (!activePlayer) return false;
+    const paused = activePlayer.isPaused();
+    if (paused === null) return false;
+    return setPlaybackPaused(!paused);
+}
+
+function setPlaybackPaused(paused) {
+    if (!activePlayer || activePlayer.isPaused() === null) return false;
+    if (paused) {
+        activePlayer.pause();
+    } else {
+        activePlayer.play();
+    }
+    return true;
+}
+
+function seekBy(seconds) {
+    if (!activePlayer) return false;
+    const position = activePlayer.getPosition();
+    if (position === null) return false;
+
+    const duration = activePlayer.getDuration();
+    const target = Math.max(0, position + seconds);
+    activePlayer.seek(duration > 0 ? Math.min(target, duration) : target);
+    return true;
+}
+
+function isShown(el) {
+    return !el.closest('.hidden, [hidden], .pointer-events-none');
+}
+
+function getFocusableElements(root) {
+    return [...root.querySelectorAll(FOCUSABLE_SELECTOR)].filter(isShown);
+}
+
+function focusElement(el) {
+    el.focus({ preventScroll: true });
+    if (typeof el.scrollIntoView === 'function') {
+        // Grid items scroll to the middle so the sticky header/player don't cover them
+        el.scrollIntoView({ block: el.closest('#movies') ? 'center' : 'nearest', inline: 'nearest' });
+    }
+}
+
+/**
+ * Moves focus to the nearest focusable element in `direction` inside the
+ * open modal (or the page). Distance along the direction counts once,
+ * sideways drift twice, so the grid moves by rows and columns. Returns
+ * false when there is nothing in that direction.
+ */
+function moveFocus(direction) {
+    const trap = focusTraps[focusTraps.length - 1];
+    const scope = trap ? trap.modal : document.body;
+    const current = document.activeElement;
+    const candidates = getFocusableElements(scope).filter(el => el !== current && el.tagName !== 'IFRAME');
+
+    if (!current || current === document.body || !scope.contains(current)) {
+        // Nothing focused yet (typical on a TV): start on the first movie
+        const start = candidates.find(el => el.closest('.movie-card-bg')) || candidates[0];
+        if (!start) return false;
+        focusElement(start);
+        return true;
+    }
+
+    const from = current.getBoundingClientRect();
+    const fromX = from.left + from.width / 2;
+    const fromY = from.top + from.height / 2;
+    let best = null;
+    let bestScore = Infinity;
+
+    candidates.forEach(el => {
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) return;
+        const dx = rect.left + rect.width / 2 - fromX;
+        const dy = rect.top + rect.height / 2 - fromY;
+
+        const along = { up: -dy, down: dy, left: -dx, right: dx }[direction];
+        const sideways = Math.abs(direction === 'up' || direction === 'down' ? dx : dy);
+        if (along <= 0) return;
+
+        const score = along + sideways * 2;
+        if (score < bestScore) {
+            best = el;
+            bestScore = score;
+        }
+    });
+
+    if (!best) return false;
+    focusElement(best);
+    return true;
+}
+
+/**
+ * Keeps Tab inside a modal by wrapping at its first/last control.
+ */
+function cycleFocus(modal, backwards) {
+    const focusable = getFocusableElements(modal);
+    if (focusable.length === 0) return true;
+
+    const index = focusable.indexOf(document.activeElement);
+    if (backwards && index <= 0) {
+        focusable[focusable.length - 1].focus();
+        return true;
+    }
+    if (!backwards && (index === -1 || index === focusable.length - 1)) {
+        focusable[0].focus();
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Called when a modal opens: focus moves into it, Esc/Back runs `onEscape`,
+ * and focus returns to where it was when the modal closes. Re-opening an
+ * open modal (new content) keeps the original return target.
+ */
+function trapFocus(modal, onEscape) {
+    const index = focusTraps.findIndex(trap => trap.modal === modal);
+    const returnFocus = index > -1 ? focusTraps.splice(index, 1)[0].returnFocus : document.activeElement;
+    focusTraps.push({ modal, onEscape, returnFocus });
+
+    if (!modal.contains(document.activeElement)) {
+        const first = getFocusableElements(modal)[0];
+        if (first) first.focus({ preventScroll: true });
+    }
+}
+
+function releaseFocus(modal) {
+    const index = focusTraps.findIndex(trap => trap.modal === modal);
+    if (index === -1) return;
+
+    const [trap] = focusTraps.splice(index, 1);
+    const wasInnermost = index === focusTraps.length;
+    if (wasInnermost && trap.returnFocus && trap.returnFocus.isConnected && isShown(trap.returnFocus)) {
+        trap.returnFocus.focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Focus that escapes an open modal (a click behind it, a screen-reader
+ * jump) is pulled back in.
+ */
+function keepFocusInModal(event) {
+    const trap = focusTraps[focusTraps.length - 1];
+    if (!trap || trap.modal.contains(event.target)) return;
+
+    const first = getFocusableElements(trap.modal)[0];
+    if (first) first.focus({ preventScroll: true });
+}
+
+/**
+ * Mirrors the visual active state of the category chips and nav tabs into
+ * aria-current, whichever code path changed the classes.
+ */
+function observeActiveStates() {
+    const mark = (btn, active) => {
+        if (active) {
+            btn.setAttribute('aria-current', 'page');
+        } else {
+            btn.removeAttribute('aria-current');
+        }
+    };
+    const sync = () => {
+        document.querySelectorAll('.menu-btn').forEach(btn => mark(btn, btn.classList.contains('active-category')));
+        document.querySelectorAll('.nav-btn').forEach(btn => mark(btn, btn.classList.contains('text-primary')));
+    };
+
+    const observer = new MutationObserver(sync);
+    ['menu-bar', 'nav-bar'].forEach(id => {
+        observer.observe(document.getElementById(id), { subtree: true, childList: true, attributes: true, attributeFilter: ['class'] });
+    });
+    sync();
+}
+
+
+// -------------------------------------------------------------------------
+// 21. VIRTUALIZED MOVIE GRID (Windowed Rows / Card Recycling)
+// -------------------------------------------------------------------------
+
+// Rows rendered above and below the viewport so fast scrolling and D-pad
+// moves land on cards that already exist
+const GRID_OVERSCAN_ROWS = 2;
+// Used until the first card has been laid out and can be measured
+const GRID_ESTIMATED_ROW_HEIGHT = 180;
+const GRID_COLUMN_CLASSES = 'grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-2 justify-items-center';
+
+const mountedGrids = new Set();
+let gridListenersInstalled = false;
+let gridFrame = null;
+
+/**
+ * Creates a grid that only keeps the cards of the rows near the viewport in
+ * the DOM. Spacer padding stands in for the rows above and below, and cards
+ * that scroll out are reused for the ones scrolling in.
+ * Returns { element, setMovies, update }.
+ */
+function createMovieGrid(movies) {
+    const element = document.createElement('div');
+    element.className = 'movie-grid col-span-full w-full';
+    const inner = document.createElement('div');
+    inner.className = GRID_COLUMN_CLASSES;
+    element.appendChild(inner);
+
+    let items = movies;
+    let cards = new Map();
+    let rowHeight = 0;
+    let rendered = '';
+
+    const measureRowHeight = () => {
+        const first = inner.firstElementChild;
+        const height = first ? first.getBoundingClientRect().height : 0;
+        if (!height) return 0;
+        return Math.round(height + (parseFloat(getComputedStyle(inner).rowGap) || 0));
+    };
+
+    const grid = {
+        element,
+
+        setMovies(list) {
+            items = list;
+            rendered = '';
+            grid.update();
+        },
+
+        update(options = {}) {
+            if (!element.isConnected) {
+                mountedGrids.delete(grid);
+                return;
+            }
+            if (options.remeasure) rowHeight = 0;
+
+            const template = getComputedStyle(inner).gridTemplateColumns;
+            const columns = template && template !== 'none' ? template.split(' ').filter(Boolean).length : 2;
+            const height = rowHeight || GRID_ESTIMATED_ROW_HEIGHT;
+            const rows = Math.ceil(items.length / columns);
+            const top = element.getBoundingClientRect().top;
+
+            const firstRow = Math.max(0, Math.floor(-top / height) - GRID_OVERSCAN_ROWS);
+            const lastRow = Math.max(firstRow, Math.min(rows, Math.ceil((window.innerHeight - top) / height) + GRID_OVERSCAN_ROWS));
+
+            const key = [firstRow, lastRow, columns, height].join(':');
+            if (key === rendered) return;
+            rendered = key;
+
+            element.style.paddingTop = `${firstRow * height}px`;
+            element.style.paddingBottom = `${(rows - lastRow) * height}px`;
+
+            const visible = items.slice(firstRow * columns, lastRow * columns);
+            const visibleIds = new Set(visible.map(movie => movie.id));
+            const free = [...cards].filter(([id]) => !visibleIds.has(id)).map(([, card]) => card);
+            const next = new Map();
+
+            visible.forEach((movie, index) => {
+                let card = cards.get(movie.id);
+                if (!card) {
+                    card = free.pop();
+                    if (card) {
+                        updateMovieCard(card, movie);
+                    } else {
+                        card = createMovieCard(movie);
+                    }
+                }
+                next.set(movie.id, card);
+                if (inner.children[index] !== card) inner.insertBefore(card, inner.children[index] || null);
+            });
+            free.forEach(card => card.remove());
+            cards = next;
+
+            // The estimate only gets the first paint close; once real cards
+            // are laid out, redo the window with their actual height
+            const measured = measureRowHeight();
+            if (measured && Math.abs(measured - height) > 1) {
+                rowHeight = measured;
+                grid.update();
+            }
+        },
+    };
+
+    return grid;
+}
+
+/**
+ * Appends a virtualized grid of `movies` to `container` and keeps it in
+ * sync with scrolling until the container is re-rendered.
+ */
+function appendMovieGrid(container, movies) {
+    const grid = createMovieGrid(movies);
+    container.appendChild(grid.element);
+    mountedGrids.add(grid);
+    installGridListeners();
+    grid.update();
+    return grid;
+}
+
+function installGridListeners() {
+    if (gridListenersInstalled) return;
+    gridListenersInstalled = true;
+    window.addEventListener('scroll', () => scheduleGridUpdate(), { passive: true });
+    // The column count and card size follow the viewport width
+    window.addEventListener('resize', () => scheduleGridUpdate({ remeasure: true }));
+}
+
+/**
+ * Updates every mounted grid at most once per animation frame.
+ */
+function scheduleGridUpdate(options = {}) {
+    if (gridFrame !== null) {
+        if (options.remeasure) gridFrame.remeasure = true;
+        return;
+    }
+    gridFrame = { remeasure: !!options.remeasure };
+    requestAnimationFrame(() => {
+        const frame = gridFrame;
+        gridFrame = null;
+        mountedGrids.forEach(grid => grid.update(frame));
+    });
+}
+
+
+// -------------------------------------------------------------------------
+// 22. CATALOG EDITOR (Admin Mode / Entry Form / Diff / Export)
+// -------------------------------------------------------------------------
+
+// Opening the page with ?admin shows the editor entry on this device; with a
+// parental PIN set, the entry is always there but opening it needs the PIN.
+const CATALOG_EDITOR_FLAG = 'admin';
+
+// Fields the entry form edits. Any other field (episodes, custom metadata)
+// is kept as it is.
+const CATALOG_EDITOR_FIELDS = [
+    { key: 'title', kind: 'text', required: true },
+    { key: 'src', kind: 'url', required: true },
+    { key: 'thumb', kind: 'url' },
+    { key: 'type', kind: 'select', options: ['', ...PLAYER_TYPES] },
+    { key: 'rating', kind: 'select', options: ['', ...RATINGS.map(rating => rating.id)] },
+    { key: 'year', kind: 'number' },
+    { key: 'duration', kind: 'number' },
+    { key: 'addedAt', kind: 'text', placeholder: 'YYYY-MM-DD' },
+    { key: 'language', kind: 'list', single: true },
+    { key: 'cast', kind: 'list' },
+    { key: 'tags', kind: 'list' },
+    { key: 'synopsis', kind: 'textarea' },
+    { key: 'id', kind: 'text' },
+];
+
+// Each source as it was fetched (URLs resolved, not validated), keyed by url
+let loadedCatalogs = [];
+// The catalog being edited: { sourceUrl, videos, translations }; kept in localStorage
+let catalogDraft = null;
+let catalogEditorOpen = false;
+let catalogEditorCategory = null;
+// The entry open in the form: { category, index } (index -1 for a new one)
+let catalogEditorEntry = null;
+
+function cloneCatalog(catalog) {
+    return JSON.parse(JSON.stringify({
+        videos: isPlainObject(catalog.videos) ? catalog.videos : {},
+        translations: isPlainObject(catalog.translations) ? catalog.translations : {},
+    }));
+}
+
+/**
+ * The draft's categories that hold a list of entries. Anything else is kept
+ * as it is and reported when exporting.
+ */
+function getCatalogEditorCategories() {
+    return Object.keys(catalogDraft.videos).filter(category => Array.isArray(catalogDraft.videos[category]));
+}
+
+// Entries are unvalidated, so not every one is an object
+function getCatalogEntryKey(entry) {
+    return isPlainObject(entry) ? getStableMovieId(entry) : `invalid:${JSON.stringify(entry)}`;
+}
+
+function getCatalogEntryTitle(entry) {
+    return isPlainObject(entry) && typeof entry.title === 'string' ? entry.title : '';
+}
+
+function isCatalogEditorAvailable() {
+    try {
+        if (new URLSearchParams(window.location.search).has(CATALOG_EDITOR_FLAG)) {
+            localStorage.setItem('catalogEditor', '1');
+        }
+        return Boolean(parentalControls.pin) || localStorage.getItem('catalogEditor') === '1';
+    } catch (e) {
+        return Boolean(parentalControls.pin);
+    }
+}
+
+window.hideCatalogEditorEntry = function() {
+    try {
+        localStorage.removeItem('catalogEditor');
+    } catch (e) { /* Error */ }
+    refreshActiveView();
+}
+
+function loadCatalogDraft() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('catalogDraft'));
+        if (isPlainObject(stored) && typeof stored.sourceUrl === 'string' && isPlainObject(stored.videos)) {
+            return { sourceUrl: stored.sourceUrl, ...cloneCatalog(stored) };
+        }
+    } catch (e) { /* Error */ }
+    return null;
+}
+
+function saveCatalogDraft() {
+    try {
+        if (catalogDraft) {
+            localStorage.setItem('catalogDraft', JSON.stringify(catalogDraft));
+        } else {
+            localStorage.removeItem('catalogDraft');
+        }
+    } catch (e) { /* Error */ }
+}
+
+/**
+ * The loaded version of the draft's source, which the diff compares against.
+ */
+function getCatalogEditorBase() {
+    const loaded = catalogDraft && loadedCatalogs.find(catalog => catalog.url === catalogDraft.sourceUrl);
+    return loaded || { videos: {}, translations: {} };
+}
+
+function startCatalogDraft(sourceUrl) {
+    const loaded = loadedCatalogs.find(catalog => catalog.url === sourceUrl);
+    catalogDraft = { sourceUrl, ...cloneCatalog(loaded || {}) };
+    catalogEditorCategory = getCatalogEditorCategories()[0] || null;
+    catalogEditorEntry = null;
+    saveCatalogDraft();
+}
+
+/**
+ * Opens the editor (after the PIN, when one is set), resuming a saved draft.
+ */
+window.openCatalogEditor = async function() {
+    if (!isCatalogEditorAvailable() || !(await unlockParentalControls())) {
+        syncRoute('/profile');
+        return;
+    }
+
+    if (!catalogDraft) catalogDraft = loadCatalogDraft();
+    if (!catalogDraft && loadedCatalogs.length > 0) startCatalogDraft(loadedCatalogs[0].url);
+    if (!catalogDraft) {
+        const t = getStrings();
+        showCustomAlert(t.catalogEditorTitle || 'Catalog Editor', t.jsonError || 'Could not read the movie data (JSON Error).');
+        return;
+    }
+    if (!Array.isArray(catalogDraft.videos[catalogEditorCategory])) {
+        catalogEditorCategory = getCatalogEditorCategories()[0] || null;
+    }
+
+    catalogEditorOpen = true;
+    syncRoute('/profile/catalog');
+    displayCatalogEditor();
+}
+
+window.closeCatalogEditor = function() {
+    catalogEditorOpen = false;
+    catalogEditorEntry = null;
+    syncRoute('/profile');
+    refreshActiveView();
+}
+
+/**
+ * Switches the draft to another loaded source, after confirming that
+ * unsaved changes to the current one are dropped.
+ */
+window.switchCatalogEditorSource = function(sourceUrl) {
+    const t = getStrings();
+    const change = () => {
+        startCatalogDraft(sourceUrl);
+        displayCatalogEditor();
+    };
+
+    if (diffCatalogs(getCatalogEditorBase(), catalogDraft).length === 0) {
+        change();
+        return;
+    }
+    showActionDialog(t.catalogEditorTitle || 'Catalog Editor', t.editorDiscardConfirm || 'Discard all changes to this catalog?', [
+        { label: t.editorDiscard || 'Discard changes', style: 'danger', onClick: change },
+        { label: t.cancel || 'Cancel', style: 'secondary', onClick: displayCatalogEditor },
+    ]);
+}
+
+window.discardCatalogDraft = function() {
+    const t = getStrings();
+    showActionDialog(t.catalogEditorTitle || 'Catalog Editor', t.editorDiscardConfirm || 'Discard all changes to this catalog?', [
+        {
+            label: t.editorDiscard || 'Discard changes',
+            style: 'danger',
+            onClick: () => {
+                const category = catalogEditorCategory;
+                startCatalogDraft(catalogDraft.sourceUrl);
+                if (Array.isArray(catalogDraft.videos[category])) catalogEditorCategory = category;
+                displayCatalogEditor();
+            },
+        },
+        { label: t.cancel || 'Cancel', style: 'secondary' },
+    ]);
+}
+
+window.selectCatalogEditorCategory = function(category) {
+    if (!Array.isArray(catalogDraft.videos[category])) return;
+    catalogEditorCategory = category;
+    catalogEditorEntry = null;
+    displayCatalogEditor();
+}
+
+/**
+ * Adds an empty category. `label` (optional) becomes its name in the
+ * current UI language.
+ */
+window.addCatalogEditorCategory = function(key, label) {
+    const t = getStrings();
+    key = String(key || '').trim().toLowerCase().replace(/\s+/g, '-');
+    if (!/^[\w-]+$/.test(key)) {
+        showCustomAlert(t.errorTitle || 'Error', t.editorCategoryInvalid || 'Use letters, digits and dashes for the category key.');
+        return;
+    }
+    if (catalogDraft.videos[key]) {
+        showCustomAlert(t.errorTitle || 'Error', t.editorCategoryExists || 'This category already exists.');
+        return;
+    }
+
+    catalogDraft.videos[key] = [];
+    label = String(label || '').trim();
+    if (label) {
+        const language = currentSettings.language;
+        catalogDraft.translations[language] = { ...catalogDraft.translations[language], [key]: label };
+    }
+    catalogEditorCategory = key;
+    saveCatalogDraft();
+    displayCatalogEditor();
+}
+
+/**
+ * Deletes the selected category; only an empty one, so no entry is lost by accident.
+ */
+window.deleteCatalogEditorCategory = function() {
+    const category = catalogEditorCategory;
+    if (!category || catalogDraft.videos[category].length > 0) return;
+
+    delete catalogDraft.videos[category];
+    Object.values(catalogDraft.translations).forEach(labels => {
+        if (isPlainObject(labels)) delete labels[category];
+    });
+    catalogEditorCategory = getCatalogEditorCategories()[0] || null;
+    saveCatalogDraft();
+    displayCatalogEditor();
+}
+
+window.moveCatalogEntry = function(index, delta) {
+    const list = catalogDraft.videos[catalogEditorCategory];
+    const target = index + delta;
+    if (!list || target < 0 || target >= list.length) return;
+
+    const [entry] = list.splice(index, 1);
+    list.splice(target, 0, entry);
+    saveCatalogDraft();
+    displayCatalogEditor();
+}
+
+window.deleteCatalogEntry = function(index) {
+    const list = catalogDraft.videos[catalogEditorCategory];
+    if (!list || index < 0 || index >= list.length) return;
+
+    const t = getStrings();
+    showActionDialog(getCatalogEntryTitle(list[index]), t.editorDeleteConfirm || 'Delete this entry from the catalog?', [
+        {
+            label: t.delete || 'Delete',
+            style: 'danger',
+            onClick: () => {
+                list.splice(index, 1);
+                saveCatalogDraft();
+                displayCatalogEditor();
+            },
+        },
+        { label: t.cancel || 'Cancel', style: 'secondary' },
+    ]);
+}
+
+/**
+ * Opens the entry form; `index` -1 adds a new entry to the selected category.
+ */
+window.editCatalogEntry = function(index) {
+    if (!catalogEditorCategory) return;
+    catalogEditorEntry = { category: catalogEditorCategory, index };
+    displayCatalogEditor();
+}
+
+window.cancelCatalogEntry = function() {
+    catalogEditorEntry = null;
+    displayCatalogEditor();
+}
+
+/**
+ * Reads the form into a catalog entry, on top of the entry being edited so
+ * fields the form doesn't show are kept.
+ */
+function readCatalogEntryForm(form) {
+    const { category, index } = catalogEditorEntry;
+    const current = catalogDraft.videos[category][index];
+    const entry = isPlainObject(current) ? { ...current } : {};
+
+    CATALOG_EDITOR_FIELDS.forEach(field => {
+        const value = form.elements[field.key].value.trim();
+        delete entry[field.key];
+        if (!value) return;
+
+        if (field.kind === 'number') {
+            const number = Number(value);
+            if (Number.isFinite(number)) entry[field.key] = number;
+        } else if (field.kind === 'list') {
+            const items = value.split(',').map(item => item.trim()).filter(Boolean);
+            entry[field.key] = field.single && items.length === 1 ? items[0] : items;
+        } else {
+            entry[field.key] = value;
+        }
+    });
+    return entry;
+}
+
+/**
+ * Runs an entry through the loader's validation. Returns the repaired entry,
+ * or null after showing why it can't be used.
+ */
+function validateEditorEntry(entry) {
+    const result = validateMovieEntry(entry);
+    if (!result.movie) {
+        const t = getStrings();
+        const reasons = result.issues.filter(issue => issue.action === 'rejected').map(issue => t[issue.code] || CATALOG_PROBLEM_MESSAGES[issue.code]);
+        showCustomAlert(t.errorTitle || 'Error', t.editorEntryInvalid || 'This entry cannot be saved:', reasons);
+        return null;
+    }
+    return result.movie;
+}
+
+/**
+ * Saves the form into the draft, moving the entry when its category changed.
+ */
+window.saveCatalogEntry = function(form) {
+    const t = getStrings();
+    const { category, index } = catalogEditorEntry;
+    const entry = validateEditorEntry(readCatalogEntryForm(form));
+    if (!entry) return;
+
+    const targetCategory = form.elements.category.value;
+    const target = catalogDraft.videos[targetCategory];
+    if (!Array.isArray(target)) return;
+
+    const id = getStableMovieId(entry);
+    const duplicate = target.some((other, otherIndex) => getCatalogEntryKey(other) === id && !(targetCategory === category && otherIndex === index));
+    if (duplicate) {
+        showCustomAlert(t.errorTitle || 'Error', t.editorDuplicate || 'This category already has an entry for the same video.');
+        return;
+    }
+
+    if (targetCategory === category && index >= 0) {
+        target[index] = entry;
+    } else {
+        if (index >= 0) catalogDraft.videos[category].splice(index, 1);
+        target.push(entry);
+    }
+
+    catalogEditorCategory = targetCategory;
+    catalogEditorEntry = null;
+    saveCatalogDraft();
+    displayCatalogEditor();
+}
+
+/**
+ * Fills `thumb` from a YouTube `src`, unless someone typed their own thumbnail.
+ */
+window.autofillEntryThumb = function(form) {
+    const thumb = form.elements.thumb;
+    const autoThumb = getYouTubeThumb(form.elements.src.value.trim()) || '';
+    if (!thumb.value.trim() || thumb.value === thumb.dataset.auto) {
+        thumb.value = autoThumb;
+    }
+    thumb.dataset.auto = autoThumb;
+    updateEntryThumbPreview(form);
+}
+
+window.updateEntryThumbPreview = function(form) {
+    const preview = document.getElementById('entry-thumb-preview');
+    if (preview) preview.src = form.elements.thumb.value.trim() || THUMB_PLACEHOLDER;
+}
+
+/**
+ * Plays a validated entry in the player without adding it to the history.
+ */
+function previewCatalogMovie(entry) {
+    const movie = { ...entry, id: getStableMovieId(entry) };
+    if (movie.episodes && !movie.src) movie.src = movie.episodes[0].src;
+
+    stopPositionTracking();
+    endStatsSession();
+    currentPlayingMovie = null;
+    updateFavoriteButtonState(null);
+    updateNextEpisodeButton();
+    loadPlayer(movie, 0);
+    setupMediaTracks(movie);
+    document.getElementById('current-movie-title').textContent = translate('editorPreviewing', { title: movie.title }, 'Preview: {title}');
+}
+
+window.previewCatalogEntry = function(index) {
+    // Draft entries are unvalidated, so only what the loader would accept gets played
+    const entry = validateEditorEntry(catalogDraft.videos[catalogEditorCategory][index]);
+    if (entry) previewCatalogMovie(entry);
+}
+
+window.previewCatalogEntryForm = function(form) {
+    const entry = validateEditorEntry(readCatalogEntryForm(form));
+    if (entry) previewCatalogMovie(entry);
+}
+
+/**
+ * Compares two catalogs entry by entry (by stable ID, so editing `src`
+ * without an explicit `id` counts as removing one video and adding another).
+ * Returns a list of `{ kind, category, title, ... }` changes.
+ */
+function diffCatalogs(base, draft) {
+    const changes = [];
+    const added = [];
+    const removed = [];
+    const categories = [...new Set([...Object.keys(base.videos), ...Object.keys(draft.videos)])];
+    // A repeated ID is told apart by its occurrence, so removing one duplicate still shows
+    const byId = list => {
+        const entries = new Map();
+        (Array.isArray(list) ? list : []).forEach(entry => {
+            const key = getCatalogEntryKey(entry);
+            let id = key;
+            for (let count = 2; entries.has(id); count++) id = `${key}#${count}`;
+            entries.set(id, entry);
+        });
+        return entries;
+    };
+
+    categories.forEach(category => {
+        const before = byId(base.videos[category]);
+        const after = byId(draft.videos[category]);
+
+        if (!base.videos[category]) changes.push({ kind: 'categoryAdded', category });
+        if (!draft.videos[category]) changes.push({ kind: 'categoryRemoved', category });
+
+        after.forEach((entry, id) => {
+            if (!before.has(id)) {
+                added.push({ id, category, entry });
+                return;
+            }
+            const fields = changedFields(before.get(id), entry);
+            if (fields.length > 0) changes.push({ kind: 'changed', category, title: getCatalogEntryTitle(entry), fields });
+        });
+        before.forEach((entry, id) => {
+            if (!after.has(id)) removed.push({ id, category, entry });
+        });
+
+        const keptBefore = [...before.keys()].filter(id => after.has(id));
+        const keptAfter = [...after.keys()].filter(id => before.has(id));
+        if (keptBefore.join() !== keptAfter.join()) changes.push({ kind: 'reordered', category });
+    });
+
+    // An entry that left one category and arrived in another was moved
+    added.forEach(item => {
+        const fromIndex = removed.findIndex(other => other.id === item.id);
+        if (fromIndex === -1) {
+            changes.push({ kind: 'added', category: item.category, title: getCatalogEntryTitle(item.entry) });
+            return;
+        }
+        const [from] = removed.splice(fromIndex, 1);
+        const title = getCatalogEntryTitle(item.entry);
+        changes.push({ kind: 'moved', category: item.category, from: from.category, title });
+        const fields = changedFields(from.entry, item.entry);
+        if (fields.length > 0) changes.push({ kind: 'changed', category: item.category, title, fields });
+    });
+    removed.forEach(item => changes.push({ kind: 'removed', category: item.category, title: getCatalogEntryTitle(item.entry) }));
+
+    return changes;
+}
+
+function changedFields(before, after) {
+    if (!isPlainObject(before) || !isPlainObject(after)) return [];
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+function formatCatalogChange(change) {
+    const fallbacks = {
+        categoryAdded: '+ Category "{category}"',
+        categoryRemoved: '− Category "{category}"',
+        added: '+ {category}: "{title}"',
+        removed: '− {category}: "{title}"',
+        changed: '✎ {category}: "{title}" ({fields})',
+        moved: '→ "{title}": {from} → {category}',
+        reordered: '↕ {category}: order changed',
+    };
+    const key = 'diff' + change.kind.charAt(0).toUpperCase() + change.kind.slice(1);
+    return translate(key, { ...change, fields: (change.fields || []).join(', ') }, fallbacks[change.kind]);
+}
+
+window.showCatalogDiff = function() {
+    const t = getStrings();
+    const changes = diffCatalogs(getCatalogEditorBase(), catalogDraft);
+    if (changes.length === 0) {
+        showCustomAlert(t.editorChangesTitle || 'Changes', t.editorNoChanges || 'No changes to the loaded catalog.');
+        return;
+    }
+    showCustomAlert(t.editorChangesTitle || 'Changes', translate('editorChangeCount', { count: changes.length }, '{count} changes'), changes.map(formatCatalogChange));
+}
+
+/**
+ * Downloads the draft as a catalog file, after checking it the way the
+ * loader will.
+ */
+window.exportCatalog = function() {
+    const t = getStrings();
+    const problems = validateCatalog(catalogDraft.videos).problems;
+
+    const download = () => {
+        const catalog = { videos: catalogDraft.videos };
+        if (Object.keys(catalogDraft.translations).length > 0) catalog.translations = catalogDraft.translations;
+
+        const blob = new Blob([JSON.stringify(catalog, null, 4) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        let fileName = '';
+        try {
+            fileName = new URL(catalogDraft.sourceUrl, window.location.href).pathname.split('/').pop();
+        } catch (e) { /* default below */ }
+
+        link.href = url;
+        link.download = /\.json$/i.test(fileName) ? fileName : DEFAULT_CATALOG_SOURCES[0].url;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    if (problems.length === 0) {
+        download();
+        return;
+    }
+    const lines = problems.map(problem => `${problem.category} #${problem.index + 1} "${problem.title}": ${t[problem.code] || CATALOG_PROBLEM_MESSAGES[problem.code]}`);
+    showActionDialog(t.catalogProblemsTitle || 'Catalog Problems', translate('catalogProblemsMessage', { count: problems.length }, '{count} catalog entries had problems:'), [
+        { label: t.editorExportAnyway || 'Export anyway', style: 'danger', onClick: download },
+        { label: t.cancel || 'Cancel', style: 'secondary' },
+    ], lines);
+}
+
+/**
+ * Profile card that opens the editor.
+ */
+function renderCatalogEditorCard(t) {
+    if (!isCatalogEditorAvailable()) return '';
+
+    return `
+        <div class="p-4 bg-gray-800 rounded-lg shadow-lg">
+            <h3 class="text-xl font-semibold mb-1">${t.catalogEditorTitle || 'Catalog Editor'}</h3>
+            <p class="text-sm text-gray-400 mb-3">${t.catalogEditorHint || 'Add, edit, reorder and remove movies, then export the catalog file.'}</p>
+            <div class="flex space-x-2">
+                <button onclick="openCatalogEditor()" class="flex-1 bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 rounded transition duration-200">${t.openCatalogEditor || 'Open Editor'}</button>
+                ${parentalControls.pin ? '' : `<button onclick="hideCatalogEditorEntry()" class="bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 px-3 rounded transition duration-200">${t.hideCatalogEditor || 'Hide'}</button>`}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Renders the editor into #movies: the entry form when one is open,
+ * otherwise the selected category's entries.
+ */
+function displayCatalogEditor() {
+    const moviesContainer = document.getElementById('movies');
+    const t = getStrings();
+
+    // Profile hides the player; the editor uses it for previews
+    document.getElementById('player-container').classList.remove('hidden');
+
+    const changeCount = diffCatalogs(getCatalogEditorBase(), catalogDraft).length;
+    const categories = getCatalogEditorCategories();
+    const categoryOption = category => `<option value="${escapeHtml(category)}" ${category === (catalogEditorEntry ? catalogEditorEntry.category : catalogEditorCategory) ? 'selected' : ''}>${escapeHtml(getCategoryLabel(category))} (${escapeHtml(category)})</option>`;
+
+    const sourcePicker = loadedCatalogs.length > 1 ? `
+        <select onchange="switchCatalogEditorSource(this.value)" aria-label="${t.catalogSourcesTitle || 'Catalog Sources'}" class="w-full bg-gray-700 text-white text-sm p-2 rounded">
+            ${loadedCatalogs.map(catalog => {
+                const status = catalogSourceStatus.find(source => source.url === catalog.url);
+                return `<option value="${escapeHtml(catalog.url)}" ${catalog.url === catalogDraft.sourceUrl ? 'selected' : ''}>${escapeHtml(status ? status.name : catalog.url)}</option>`;
+            }).join('')}
+        </select>
+    ` : '';
+
+    const body = catalogEditorEntry ? renderCatalogEntryForm(t, categories.map(categoryOption).join('')) : renderCatalogEntryList(t, categories.map(categoryOption).join(''));
+
+    moviesContainer.innerHTML = `
+        <div class="max-w-2xl mx-auto w-full space-y-4">
+            <button onclick="closeCatalogEditor()" class="text-sm text-gray-400 hover:text-white">← ${t.profileTitle || 'User Profile'}</button>
+            <h2 class="text-2xl font-bold text-primary">${t.catalogEditorTitle || 'Catalog Editor'}</h2>
+            ${sourcePicker}
+
+            <div class="flex flex-wrap gap-2 items-center">
+                <span class="text-sm text-gray-400 flex-grow">${translate('editorChangeCount', { count: changeCount }, '{count} changes')}</span>
+                ${renderRowButton(t.editorShowChanges || 'Show changes', 'showCatalogDiff()')}
+                ${renderRowButton(t.editorDiscard || 'Discard changes', 'discardCatalogDraft()', changeCount === 0)}
+                <button onclick="exportCatalog()" class="bg-primary text-black font-semibold text-xs rounded px-3 py-1 hover:bg-opacity-90">${t.editorExport || 'Export JSON'}</button>
+            </div>
+
+            ${body}
+        </div>
+    `;
+}
+
+function renderCatalogEntryList(t, categoryOptions) {
+    const list = catalogEditorCategory ? catalogDraft.videos[catalogEditorCategory] : [];
+    const rows = list.map((entry, index) => renderMovieRow(
+        { thumb: (isPlainObject(entry) && entry.thumb) || THUMB_PLACEHOLDER, title: getCatalogEntryTitle(entry) },
+        [
+            renderRowButton('▲', `moveCatalogEntry(${index}, -1)`, index === 0),
+            renderRowButton('▼', `moveCatalogEntry(${index}, 1)`, index === list.length - 1),
+            renderRowButton('✎', `editCatalogEntry(${index})`),
+            renderRowButton('✕', `deleteCatalogEntry(${index})`),
+        ].join(''),
+        `previewCatalogEntry(${index})`
+    )).join('');
+
+    return `
+        <div class="flex space-x-2">
+            <select onchange="selectCatalogEditorCategory(this.value)" aria-label="${t.categoriesLabel || 'Categories'}" class="flex-grow bg-gray-700 text-white text-sm p-2 rounded">${categoryOptions}</select>
+            ${catalogEditorCategory && list.length === 0 ? renderRowButton(t.delete || 'Delete', 'deleteCatalogEditorCategory()') : ''}
+        </div>
+
+        <form onsubmit="event.preventDefault(); addCatalogEditorCategory(this.elements.key.value, this.elements.label.value);" class="flex space-x-2">
+            <input name="key" type="text" required maxlength="40" placeholder="${t.editorCategoryKey || 'new-category'}" class="flex-1 min-w-0 bg-gray-800 text-white text-sm p-2 rounded">
+            <input name="label" type="text" maxlength="60" placeholder="${t.editorCategoryLabel || 'Label'}" class="flex-1 min-w-0 bg-gray-800 text-white text-sm p-2 rounded">
+            <button type="submit" class="bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 px-3 rounded transition duration-200">${t.editorAddCategory || '+ Category'}</button>
+        </form>
+
+        ${catalogEditorCategory ? `<button onclick="editCatalogEntry(-1)" class="w-full bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 rounded transition duration-200">${t.editorAddEntry || '+ Add Movie'}</button>` : ''}
+        <div class="space-y-2">${rows || `<p class="text-gray-500 text-sm">${t.editorEmptyCategory || 'No movies in this category.'}</p>`}</div>
+    `;
+}
+
+function renderCatalogEntryForm(t, categoryOptions) {
+    const { category, index } = catalogEditorEntry;
+    const current = catalogDraft.videos[category][index];
+    const entry = isPlainObject(current) ? current : {};
+    const fieldLabel = key => t['editorField' + key.charAt(0).toUpperCase() + key.slice(1)] || key;
+    const inputClass = 'w-full bg-gray-800 text-white text-sm p-2 rounded';
+
+    const fields = CATALOG_EDITOR_FIELDS.map(field => {
+        const raw = entry[field.key];
+        const value = raw === undefined ? '' : Array.isArray(raw) ? raw.join(', ') : String(raw);
+        // A series may do without its own src
+        const required = field.required && !(field.key === 'src' && entry.episodes);
+        const attributes = `name="${field.key}" id="entry-${field.key}" class="${inputClass}" ${required ? 'required' : ''}`;
+        let input;
+
+        if (field.kind === 'select') {
+            const options = value && !field.options.includes(value) ? [...field.options, value] : field.options;
+            input = `<select ${attributes}>${options.map(option => `<option value="${escapeHtml(option)}" ${option === value ? 'selected' : ''}>${escapeHtml(option) || '—'}</option>`).join('')}</select>`;
+        } else if (field.kind === 'textarea') {
+            input = `<textarea ${attributes} rows="3">${escapeHtml(value)}</textarea>`;
+        } else {
+            const type = field.kind === 'number' ? 'number' : 'text';
+            const events = {
+                src: 'oninput="autofillEntryThumb(this.form)"',
+                thumb: `oninput="updateEntryThumbPreview(this.form)" data-auto="${escapeHtml(getYouTubeThumb(entry.src || '') || '')}"`,
+            }[field.key] || '';
+            input = `<input type="${type}" ${attributes} value="${escapeHtml(value)}" ${field.placeholder ? `placeholder="${field.placeholder}"` : ''} ${events}>`;
+        }
+        return `<label for="entry-${field.key}" class="block text-xs text-gray-400">${fieldLabel(field.key)}</label>${input}`;
+    }).join('');
+
+    return `
+        <form id="catalog-entry-form" onsubmit="event.preventDefault(); saveCatalogEntry(this);" class="space-y-2">
+            <h3 class="text-lg font-semibold">${index >= 0 ? escapeHtml(entry.title || '') : (t.editorAddEntry || '+ Add Movie')}</h3>
+            <img id="entry-thumb-preview" src="${escapeHtml(entry.thumb || THUMB_PLACEHOLDER)}" alt="" onerror="if (this.src !== THUMB_PLACEHOLDER) this.src = THUMB_PLACEHOLDER" class="w-40 aspect-video object-cover rounded bg-gray-700">
+            <label for="entry-category" class="block text-xs text-gray-400">${t.categoriesLabel || 'Categories'}</label>
+            <select name="category" id="entry-category" class="${inputClass}">${categoryOptions}</select>
+            ${fields}
+            ${entry.episodes ? `<p class="text-xs text-gray-400">${translate('editorKeepsEpisodes', { count: entry.episodes.length }, 'Its {count} episodes are kept as they are.')}</p>` : ''}
+            <div class="flex space-x-2 pt-2">
+                <button type="button" onclick="previewCatalogEntryForm(this.form)" class="flex-1 bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 rounded transition duration-200">▶ ${t.editorPreview || 'Preview'}</button>
+                <button type="button" onclick="cancelCatalogEntry()" class="flex-1 bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 rounded transition duration-200">${t.cancel || 'Cancel'}</button>
+                <button type="submit" class="flex-1 bg-primary text-black font-semibold text-sm py-2 rounded hover:bg-opacity-90">${t.editorSave || 'Save'}</button>
+            </div>
+        </form>
+    `;
+}
+
+
+// -------------------------------------------------------------------------
+// 23. WATCH STATISTICS (Play Events / Stats Panel / Trending / Collector)
+// -------------------------------------------------------------------------
+
+// One session per play: { movieId, startedAt, endedAt, watchedSeconds, completed }
+const STATS_SESSION_LIMIT = 500;
+const STATS_RECENT_LIMIT = 8;
+const TRENDING_WINDOW_DAYS = 14;
+const TRENDING_LIMIT = 20;
+// A movie counts for "Because you watched" once this much of it was seen (or it was finished)
+const BECAUSE_WATCHED_MIN_SECONDS = 60;
+const BECAUSE_WATCHED_LIMIT = 12;
+const STATS_EXPORT_INTERVAL_MS = 60 * 60 * 1000;
+const STATS_EXPORT_SCHEMA = 1;
+
+// Collector backends by config `type`. Each is `async (payload, config)` and
+// throws when the events weren't accepted; more can be added with
+// registerStatsExporter().
+const STATS_EXPORTERS = {
+    http: sendStatsOverHttp,
+};
+
+// Per profile; `exportedUntil` is the end time of the last session sent to the collector.
+// `playCounts` (id => plays, series as a whole) outlives the capped session list.
+let watchStats = { sessions: [], exportedUntil: 0, playCounts: {} };
+// The session of the movie that is playing, and when its watch time was last counted
+let statsSession = null;
+
+window.registerStatsExporter = function(type, send) {
+    STATS_EXPORTERS[type] = send;
+}
+
+function loadWatchStats() {
+    watchStats = { sessions: [], exportedUntil: 0, playCounts: {} };
+    let hasPlayCounts = false;
+    try {
+        const stored = JSON.parse(localStorage.getItem(profileKey('watchStats')));
+        if (isPlainObject(stored) && Array.isArray(stored.sessions)) {
+            watchStats = { sessions: stored.sessions.filter(isPlainObject), exportedUntil: Number(stored.exportedUntil) || 0, playCounts: {} };
+        }
+        if (isPlainObject(stored) && isPlainObject(stored.playCounts)) {
+            hasPlayCounts = true;
+            Object.entries(stored.playCounts).forEach(([id, count]) => {
+                if (Number(count) > 0) watchStats.playCounts[id] = Math.floor(Number(count));
+            });
+        }
+    } catch (e) { /* Error */ }
+
+    if (!hasPlayCounts) seedPlayCounts();
+    closeOrphanedSessions();
+}
+
+/**
+ * Ends the sessions of plays the app was closed during (they never got an
+ * `endedAt`), as if they stopped after the time that was counted. They end
+ * after the last export, so the collector still gets them.
+ */
+function closeOrphanedSessions() {
+    let closed = false;
+    watchStats.sessions.forEach(session => {
+        if (session.endedAt) return;
+        const startedAt = Number(session.startedAt) || 0;
+        session.endedAt = Math.max(startedAt + (Number(session.watchedSeconds) || 0) * 1000, watchStats.exportedUntil + 1);
+        closed = true;
+    });
+    if (closed) saveWatchStats();
+}
+
+/**
+ * Starts the play counts of stats saved before they were kept, from what
+ * the sessions and the watch history still remember.
+ */
+function seedPlayCounts() {
+    const historyPlays = new Map();
+    watchHistory.forEach(entry => {
+        const id = getStatsMovieId(entry.id);
+        historyPlays.set(id, (historyPlays.get(id) || 0) + (Number(entry.plays) || 1));
+    });
+    const totals = aggregateSessions(watchStats.sessions);
+
+    new Set([...historyPlays.keys(), ...totals.keys()]).forEach(id => {
+        watchStats.playCounts[id] = Math.max(historyPlays.get(id) || 0, totals.has(id) ? totals.get(id).starts : 0);
+    });
+    if (Object.keys(watchStats.playCounts).length > 0) saveWatchStats();
+}
+
+function saveWatchStats() {
+    try {
+        localStorage.setItem(profileKey('watchStats'), JSON.stringify(watchStats));
+    } catch (e) { /* Error */ }
+}
+
+/**
+ * The collector is set per device: `{ type, url, lastSentAt, lastError }`.
+ */
+function loadStatsCollector() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('statsCollector'));
+        if (isPlainObject(stored) && typeof stored.url === 'string') return { type: 'http', ...stored };
+    } catch (e) { /* Error */ }
+    return null;
+}
+
+function saveStatsCollector(collector) {
+    try {
+        if (collector) {
+            localStorage.setItem('statsCollector', JSON.stringify(collector));
+        } else {
+            localStorage.removeItem('statsCollector');
+        }
+    } catch (e) { /* Error */ }
+}
+
+/**
+ * Records a play start. Called before the new movie is loaded, so the
+ * previous session can still read where its player stopped.
+ */
+function startStatsSession(movie) {
+    endStatsSession();
+
+    const session = { movieId: movie.id, startedAt: Date.now(), endedAt: 0, watchedSeconds: 0, completed: false };
+    watchStats.sessions.unshift(session);
+    watchStats.sessions = watchStats.sessions.slice(0, STATS_SESSION_LIMIT);
+    const countId = getStatsMovieId(movie.id);
+    watchStats.playCounts[countId] = getPlayCount(countId) + 1;
+    statsSession = { session, countedAt: Date.now() };
+    saveWatchStats();
+}
+
+/**
+ * Adds the time since the last call to the session's watch time, if the
+ * player was playing. Embeds that can't tell count while the page is
+ * visible; `wasPlaying` is for pause/ended events, which arrive after the fact.
+ */
+function trackWatchTime(wasPlaying = false) {
+    if (!statsSession) return;
+
+    const now = Date.now();
+    // A sleeping device shouldn't count as hours of watching
+    const elapsed = Math.min(now - statsSession.countedAt, POSITION_SAVE_INTERVAL_MS * 2);
+    statsSession.countedAt = now;
+
+    const paused = activePlayer ? activePlayer.isPaused() : true;
+    if (wasPlaying || paused === false || (paused === null && document.visibilityState === 'visible')) {
+        statsSession.session.watchedSeconds = Math.round(statsSession.session.watchedSeconds + elapsed / 1000);
+        saveWatchStats();
+    }
+}
+
+function completeStatsSession() {
+    if (!statsSession) return;
+    statsSession.session.completed = true;
+    saveWatchStats();
+}
+
+/**
+ * Closes the playing movie's session. Stopping within the last few seconds
+ * (as the resume logic sees it) counts as finishing it.
+ */
+function endStatsSession() {
+    if (!statsSession) return;
+    trackWatchTime();
+
+    const session = statsSession.session;
+    if (activePlayer && !session.completed) {
+        const duration = activePlayer.getDuration();
+        const position = activePlayer.getPosition();
+        if (duration > 0 && position > duration - RESUME_END_MARGIN_SECONDS) session.completed = true;
+    }
+    session.endedAt = Date.now();
+    statsSession = null;
+    saveWatchStats();
+    exportWatchStats();
+}
+
+window.clearWatchStats = function() {
+    const t = getStrings();
+    showActionDialog(t.statsTitle || 'Watch Statistics', t.statsClearConfirm || 'Delete the viewing statistics of this profile?', [
+        {
+            label: t.delete || 'Delete',
+            style: 'danger',
+            onClick: () => {
+                watchStats = { sessions: [], exportedUntil: 0, playCounts: {} };
+                statsSession = null;
+                saveWatchStats();
+                refreshActiveView();
+            },
+        },
+        { label: t.cancel || 'Cancel', style: 'secondary' },
+    ]);
+}
+
+/**
+ * Sessions count for a series as a whole, not per episode.
+ */
+function getStatsMovieId(movieId) {
+    const movie = findMovieById(movieId);
+    return movie && movie.seriesId ? movie.seriesId : movieId;
+}
+
+/**
+ * Sums sessions per movie: `Map(id => { starts, completions, watchedSeconds, lastAt })`.
+ */
+function aggregateSessions(sessions) {
+    const totals = new Map();
+    sessions.forEach(session => {
+        const id = getStatsMovieId(session.movieId);
+        const total = totals.get(id) || { starts: 0, completions: 0, watchedSeconds: 0, lastAt: 0 };
+        total.starts += 1;
+        total.completions += session.completed ? 1 : 0;
+        total.watchedSeconds += session.watchedSeconds || 0;
+        total.lastAt = Math.max(total.lastAt, session.startedAt);
+        totals.set(id, total);
+    });
+    return totals;
+}
+
+/**
+ * Trending from this profile's last TRENDING_WINDOW_DAYS of viewing: starts,
+ * finishes (double) and every half hour watched count. The catalog's own
+ * trending list fills the remaining places.
+ */
+function getStatsTrending() {
+    const since = Date.now() - TRENDING_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    const totals = aggregateSessions(watchStats.sessions.filter(session => session.startedAt >= since));
+    const score = total => total.starts + total.completions * 2 + total.watchedSeconds / 1800;
+
+    const ranked = [...totals]
+        .sort((a, b) => score(b[1]) - score(a[1]) || b[1].lastAt - a[1].lastAt)
+        .map(([id]) => findMovieById(id))
+        .filter(Boolean);
+    const ids = new Set(ranked.map(movie => movie.id));
+    return [...ranked, ...(videos.trending || []).filter(movie => !ids.has(movie.id))].slice(0, Math.max(TRENDING_LIMIT, ranked.length));
+}
+
+/**
+ * The movies a category view lists before sorting and filtering. Trending
+ * comes from the viewing statistics when the profile opted in.
+ */
+function getCategorySource(category) {
+    if (category === 'trending' && currentSettings.statsTrending) return getStatsTrending();
+    return videos[category] || [];
+}
+
+/**
+ * The most recently watched movie (seen for a while, or finished) and titles
+ * related to it that haven't been played yet.
+ */
+function getBecauseYouWatched() {
+    const session = watchStats.sessions.find(item => item.completed || item.watchedSeconds >= BECAUSE_WATCHED_MIN_SECONDS);
+    const movie = session && findMovieById(getStatsMovieId(session.movieId));
+    if (!movie || !isMovieAllowed(movie)) return null;
+
+    const played = new Set(watchStats.sessions.map(item => getStatsMovieId(item.movieId)));
+    const movies = getRelatedMovies(movie).filter(related => !played.has(related.id)).slice(0, BECAUSE_WATCHED_LIMIT);
+    return movies.length > 0 ? { movie, movies } : null;
+}
+
+function renderBecauseYouWatchedRow(container) {
+    if (!currentSettings.statsTrending) return;
+    const result = getBecauseYouWatched();
+    if (!result) return;
+
+    const title = translate('becauseYouWatched', { title: result.movie.title }, 'Because you watched {title}');
+    renderMovieStrip(container, escapeHtml(title), result.movies.map(movie => ({ movie })));
+}
+
+window.setStatsTrending = function(enabled) {
+    currentSettings.statsTrending = Boolean(enabled);
+    saveSettings();
+    refreshActiveView();
+}
+
+/**
+ * Watch totals per category (a movie's first category in the catalog).
+ */
+function getCategoryStats() {
+    const categoriesById = getCategoriesById();
+    const byCategory = new Map();
+
+    aggregateSessions(watchStats.sessions).forEach((total, id) => {
+        const category = (categoriesById.get(id) || [''])[0];
+        const sum = byCategory.get(category) || { starts: 0, completions: 0, watchedSeconds: 0 };
+        sum.starts += total.starts;
+        sum.completions += total.completions;
+        sum.watchedSeconds += total.watchedSeconds;
+        byCategory.set(category, sum);
+    });
+
+    return [...byCategory]
+        .map(([category, sum]) => ({ category, ...sum }))
+        .sort((a, b) => b.watchedSeconds - a.watchedSeconds || b.starts - a.starts);
+}
+
+/**
+ * Collector payload: per-movie totals of the sessions that ended after
+ * `since`. Holds no profile or device identifiers.
+ */
+function buildStatsExport(since) {
+    const sessions = watchStats.sessions.filter(session => session.endedAt > since);
+    if (sessions.length === 0) return null;
+
+    const categoriesById = getCategoriesById();
+    return {
+        app: BACKUP_APP_ID,
+        schema: STATS_EXPORT_SCHEMA,
+        from: new Date(Math.min(...sessions.map(session => session.startedAt))).toISOString(),
+        to: new Date(Math.max(...sessions.map(session => session.endedAt))).toISOString(),
+        until: Math.max(...sessions.map(session => session.endedAt)),
+        items: [...aggregateSessions(sessions)].map(([movieId, total]) => ({
+            movieId,
+            category: (categoriesById.get(movieId) || [''])[0],
+            starts: total.starts,
+            completions: total.completions,
+            watchedSeconds: total.watchedSeconds,
+        })),
+    };
+}
+
+async function sendStatsOverHttp(payload, config) {
+    const response = await fetch(config.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        keepalive: true,
+    });
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+}
+
+/**
+ * Sends the sessions that ended since the last export to the configured
+ * collector, at most every STATS_EXPORT_INTERVAL_MS unless `force`d.
+ * Resolves true when something was sent.
+ */
+async function exportWatchStats(force = false) {
+    const collector = loadStatsCollector();
+    if (!collector || !collector.url) return false;
+    if (!force && Date.now() - (collector.lastSentAt || 0) < STATS_EXPORT_INTERVAL_MS) return false;
+
+    const send = STATS_EXPORTERS[collector.type];
+    const payload = buildStatsExport(watchStats.exportedUntil);
+    if (!send || !payload) return false;
+
+    const { until, ...body } = payload;
+    try {
+        await send(body, collector);
+        watchStats.exportedUntil = until;
+        saveWatchStats();
+        saveStatsCollector({ ...collector, lastSentAt: Date.now(), lastError: null });
+        return true;
+    } catch (e) {
+        console.warn('Sending watch statistics failed.', e);
+        saveStatsCollector({ ...collector, lastError: e.message || String(e) });
+        return false;
+    }
+}
+
+window.setStatsCollector = function(url) {
+    const t = getStrings();
+    url = String(url || '').trim();
+    if (!url) {
+        saveStatsCollector(null);
+        refreshActiveView();
+        return;
+    }
+
+    let parsed = null;
+    try {
+        parsed = new URL(url, window.location.href);
+    } catch (e) { /* handled below */ }
+    if (!parsed || !/^https?:$/.test(parsed.protocol)) {
+        showCustomAlert(t.errorTitle || 'Error', t.statsCollectorInvalid || 'Enter an http(s) link for the collector.');
+        return;
+    }
+
+    const previous = loadStatsCollector();
+    saveStatsCollector({ type: 'http', ...previous, url: parsed.href, lastError: null });
+    refreshActiveView();
+}
+
+window.sendWatchStatsNow = async function() {
+    const t = getStrings();
+    const sent = await exportWatchStats(true);
+    const collector = loadStatsCollector();
+    if (sent) {
+        showCustomAlert(t.statsTitle || 'Watch Statistics', t.statsSent || 'Statistics sent.');
+    } else if (collector && collector.lastError) {
+        showCustomAlert(t.errorTitle || 'Error', t.statsSendFailed || 'The collector did not accept the statistics.', [collector.lastError]);
+    } else {
+        showCustomAlert(t.statsTitle || 'Watch Statistics', t.statsNothingToSend || 'Nothing new to send.');
+    }
+    refreshActiveView();
+}
+
+function formatWatchTime(seconds) {
+    return formatRuntime(Math.round(seconds / 60));
+}
+
+/**
+ * Profile card: totals, per-category breakdown, recent activity, the
+ * Trending option and the collector.
+ */
+function renderWatchStatsCard(t) {
+    const sessions = watchStats.sessions;
+    const totals = sessions.reduce((sum, session) => ({
+        starts: sum.starts + 1,
+        completions: sum.completions + (session.completed ? 1 : 0),
+        watchedSeconds: sum.watchedSeconds + (session.watchedSeconds || 0),
+    }), { starts: 0, completions: 0, watchedSeconds: 0 });
+
+    const figure = (value, label) => `
+        <div class="bg-gray-700 rounded p-2 text-center">
+            <p class="text-lg font-bold text-primary">${value}</p>
+            <p class="text-xs text-gray-400">${label}</p>
+        </div>
+    `;
+
+    const categoryRows = getCategoryStats().map(row => `
+        <tr>
+            <td class="py-1 truncate">${escapeHtml(row.category ? getCategoryLabel(row.category) : (t.statsOtherCategory || 'Other'))}</td>
+            <td class="py-1 text-right">${row.starts}</td>
+            <td class="py-1 text-right">${row.completions}</td>
+            <td class="py-1 text-right">${formatWatchTime(row.watchedSeconds)}</td>
+        </tr>
+    `).join('');
+
+    const recentRows = sessions
+        .map(session => ({ session, movie: findMovieById(session.movieId) }))
+        .filter(item => item.movie)
+        .slice(0, STATS_RECENT_LIMIT)
+        .map(({ session, movie }) => `
+            <li class="flex justify-between space-x-2 py-1">
+                <span class="truncate">${session.completed ? '✓ ' : ''}${escapeHtml(movie.title)}</span>
+                <span class="text-gray-400 flex-shrink-0">${new Date(session.startedAt).toLocaleDateString(getLocaleTag(), { month: 'short', day: 'numeric' })} · ${formatWatchTime(session.watchedSeconds || 0)}</span>
+            </li>
+        `).join('');
+
+    const collector = loadStatsCollector();
+    const collectorStatus = !collector ? ''
+        : collector.lastError ? `<p class="text-xs text-red-400 mt-1">${escapeHtml(collector.lastError)}</p>`
+            : collector.lastSentAt ? `<p class="text-xs text-gray-400 mt-1">${translate('statsLastSent', { date: new Date(collector.lastSentAt).toLocaleString(getLocaleTag()) }, 'Last sent: {date}')}</p>`
+                : '';
+
+    return `
+        <div class="p-4 bg-gray-800 rounded-lg shadow-lg">
+            <h3 class="text-xl font-semibold mb-3">${t.statsTitle || 'Watch Statistics'}</h3>
+
+            <div class="grid grid-cols-3 gap-2 mb-4">
+                ${figure(totals.starts, t.statsPlays || 'Plays')}
+                ${figure(totals.completions, t.statsCompleted || 'Finished')}
+                ${figure(formatWatchTime(totals.watchedSeconds), t.statsWatchTime || 'Watched')}
+            </div>
+
+            ${categoryRows ? `
+                <table class="w-full text-sm mb-4 table-fixed">
+                    <thead class="text-xs text-gray-400">
+                        <tr>
+                            <th class="text-left font-normal w-2/5">${t.categoriesLabel || 'Categories'}</th>
+                            <th class="text-right font-normal">${t.statsPlays || 'Plays'}</th>
+                            <th class="text-right font-normal">${t.statsCompleted || 'Finished'}</th>
+                            <th class="text-right font-normal">${t.statsWatchTime || 'Watched'}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${categoryRows}</tbody>
+                </table>
+                <h4 class="text-sm font-semibold mb-1">${t.statsRecent || 'Recent activity'}</h4>
+                <ul class="text-sm divide-y divide-gray-700 mb-4">${recentRows}</ul>
+            ` : `<p class="text-sm text-gray-400 mb-4">${t.statsEmpty || 'Nothing watched yet.'}</p>`}
+
+            <label class="flex justify-between items-center mb-4 cursor-pointer space-x-2">
+                <span>${t.statsTrendingOption || 'Use my viewing for Trending and "Because you watched"'}</span>
+                <input type="checkbox" onchange="setStatsTrending(this.checked)" class="w-5 h-5 flex-shrink-0" ${currentSettings.statsTrending ? 'checked' : ''}>
+            </label>
+
+            <p class="text-sm mb-1">${t.statsCollectorLabel || 'Send totals to a collector (optional):'}</p>
+            <form onsubmit="event.preventDefault(); setStatsCollector(this.elements.url.value);" class="flex space-x-2">
+                <input name="url" type="url" value="${collector ? escapeHtml(collector.url) : ''}" placeholder="https://example.com/collect" class="flex-1 min-w-0 bg-gray-700 text-white text-sm p-2 rounded">
+                <button type="submit" class="bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 px-3 rounded transition duration-200">${t.save || 'Save'}</button>
+            </form>
+            ${collectorStatus}
+
+            <div class="flex space-x-2 mt-4">
+                ${collector ? `<button onclick="sendWatchStatsNow()" class="flex-1 bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 rounded transition duration-200">${t.statsSendNow || 'Send now'}</button>` : ''}
+                <button onclick="clearWatchStats()" class="flex-1 bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 rounded transition duration-200" ${sessions.length === 0 ? 'disabled' : ''}>${t.statsClear || 'Clear statistics'}</button>
+            </div>
+        </div>
+    `;
+}
+
+
+// -------------------------------------------------------------------------
+// 24. SUBTITLES AND AUDIO TRACKS (SRT/WebVTT / Caption Overlay / Preferences)
+// -------------------------------------------------------------------------
+
+const CAPTION_SIZES = ['small', 'medium', 'large'];
+const CAPTION_BACKGROUNDS = ['none', 'semi', 'solid'];
+// How often the overlay follows the playback position
+const CAPTION_UPDATE_MS = 250;
+
+// Subtitle URL -> Promise of its cues [{ start, end, text }] (seconds)
+const subtitleCues = new Map();
+// The movie in the player, its shown subtitle track and which catalog audio
+// source plays (-1: the movie's own `src`)
+let mediaTracks = { movie: null, subtitle: null, cues: [], audio: -1, timer: null };
+
+/**
+ * Lower-cases a track's language code ('myanmar'/'english' become my/en).
+ * Unlike normalizeLanguage, languages without a UI locale (e.g. Shan) are
+ * kept. Returns '' for anything that isn't a language code.
+ */
+function normalizeTrackLanguage(language) {
+    if (typeof language !== 'string') return '';
+    const lower = language.trim().toLowerCase();
+    const code = LEGACY_LANGUAGE_CODES[lower] || lower;
+    return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(code) ? code : '';
+}
+
+function getTrackLanguageName(code) {
+    if (localeIndex.languages[code]) return localeIndex.languages[code];
+    try {
+        return new Intl.DisplayNames([getLocaleTag()], { type: 'language' }).of(code) || code;
+    } catch (e) {
+        return code;
+    }
+}
+
+function getTrackLabel(track) {
+    return track.label || getTrackLanguageName(track.language);
+}
+
+/**
+ * Converts SubRip text to WebVTT: adds the header and switches the decimal
+ * comma in timings to a point. Cue numbers stay as cue identifiers.
+ */
+function srtToVtt(text) {
+    const body = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim()
+        .split('\n')
+        .map(line => (line.includes('-->') ? line.replace(/(\d{2}),(\d{1,3})/g, '$1.$2') : line))
+        .join('\n');
+    return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Parses WebVTT into cues sorted by start time. Styling tags and cue
+ * settings are dropped; the overlay applies the profile's own style.
+ */
+function parseVtt(text) {
+    const cues = [];
+    text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/).forEach(block => {
+        const lines = block.split('\n');
+        const timing = lines.findIndex(line => line.includes('-->'));
+        if (timing < 0) return; // header, NOTE, STYLE and REGION blocks
+
+        const [start, end] = lines[timing].split('-->').map(part => parseCueTime(part.trim().split(/\s+/)[0]));
+        const cueText = decodeCueText(lines.slice(timing + 1).join('\n'));
+        if (start === null || end === null || end <= start || !cueText) return;
+        cues.push({ start, end, text: cueText });
+    });
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+function parseCueTime(value) {
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/.exec(value || '');
+    if (!match) return null;
+    return Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]) + Number(match[4].padEnd(3, '0')) / 1000;
+}
+
+function decodeCueText(text) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0', lrm: '\u200E', rlm: '\u200F' };
+    return text
+        .replace(/<[^>]*>/g, '')
+        .replace(/\{\\[^}]*\}/g, '') // SRT files made from ASS keep tags like {\an8}
+        .replace(/&(amp|lt|gt|quot|apos|nbsp|lrm|rlm);/g, (match, name) => entities[name])
+        .trim();
+}
+
+/**
+ * Fetches and parses a subtitle track once. SRT is detected from the
+ * track's `format`, or from a file that doesn't start with "WEBVTT".
+ */
+function loadSubtitleCues(track) {
+    if (!subtitleCues.has(track.src)) {
+        const request = fetch(track.src)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                return response.text();
+            })
+            .then(text => {
+                const isSrt = track.format ? track.format === 'srt' : !/^\uFEFF?WEBVTT/.test(text);
+                return parseVtt(isSrt ? srtToVtt(text) : text);
+            })
+            .catch(e => {
+                subtitleCues.delete(track.src); // try again next time
+                throw e;
+            });
+        subtitleCues.set(track.src, request);
+    }
+    return subtitleCues.get(track.src);
+}
+
+/**
+ * The movie's subtitle track in `language` ('my' also matches 'my-MM'), if any.
+ */
+function findSubtitle(movie, language) {
+    if (!language || !movie.subtitles) return null;
+    return movie.subtitles.find(track => track.language === language)
+        || movie.subtitles.find(track => track.language.split('-')[0] === language.split('-')[0])
+        || null;
+}
+
+/**
+ * Prepares the tracks of the movie that just started playing and shows the
+ * profile's caption language when the movie has it.
+ */
+function setupMediaTracks(movie) {
+    clearMediaTracks();
+    mediaTracks.movie = movie;
+    const preferred = findSubtitle(movie, currentSettings.captionLanguage);
+    if (preferred) selectSubtitle(preferred);
+    updateTracksButton();
+}
+
+function clearMediaTracks() {
+    clearInterval(mediaTracks.timer);
+    mediaTracks = { movie: null, subtitle: null, cues: [], audio: -1, timer: null };
+    renderCaption('');
+    updateTracksButton();
+}
+
+/**
+ * Shows a subtitle track of the playing movie (null turns subtitles off).
+ */
+function selectSubtitle(track) {
+    clearInterval(mediaTracks.timer);
+    mediaTracks.timer = null;
+    mediaTracks.subtitle = track;
+    mediaTracks.cues = [];
+    renderCaption('');
+    updateTracksButton();
+    if (!track) return;
+
+    loadSubtitleCues(track).then(cues => {
+        if (mediaTracks.subtitle !== track) return;
+        mediaTracks.cues = cues;
+        mediaTracks.timer = setInterval(updateCaption, CAPTION_UPDATE_MS);
+    }).catch(e => {
+        if (mediaTracks.subtitle !== track) return;
+        console.warn(`Could not load subtitles from ${track.src}.`, e);
+        mediaTracks.subtitle = null;
+        updateTracksButton();
+        const t = getStrings();
+        showCustomAlert(t.errorTitle || 'Error', t.subtitleLoadError || 'The subtitles could not be loaded.', [e.message]);
+    });
+}
+
+/**
+ * Turns subtitles off, or on in the profile's language (else the first track).
+ */
+function toggleCaptions() {
+    const movie = mediaTracks.movie;
+    if (!movie || !movie.subtitles) return false;
+    selectSubtitle(mediaTracks.subtitle ? null : (findSubtitle(movie, currentSettings.captionLanguage) || movie.subtitles[0]));
+    return true;
+}
+
+/**
+ * Shows the cues at the current position. Backends that can't report a
+ * position (plain iframe embeds) show no subtitles.
+ */
+function updateCaption() {
+    const position = activePlayer ? activePlayer.getPosition() : null;
+    if (position === null) {
+        renderCaption('');
+        return;
+    }
+    const text = mediaTracks.cues
+        .filter(cue => cue.start <= position && position < cue.end)
+        .map(cue => cue.text)
+        .join('\n');
+    renderCaption(text);
+}
+
+function renderCaption(text) {
+    const overlay = document.getElementById('caption-overlay');
+    if (!overlay || overlay.dataset.text === text) return;
+
+    overlay.dataset.text = text;
+    overlay.innerHTML = '';
+    if (text) {
+        const line = document.createElement('span');
+        line.textContent = text;
+        overlay.appendChild(line);
+    }
+    overlay.classList.toggle('hidden', !text);
+}
+
+/**
+ * Applies the profile's caption size and background to the overlay and
+ * the preview in the profile.
+ */
+function applyCaptionStyle() {
+    const size = CAPTION_SIZES.includes(currentSettings.captionSize) ? currentSettings.captionSize : defaultSettings.captionSize;
+    const background = CAPTION_BACKGROUNDS.includes(currentSettings.captionBackground) ? currentSettings.captionBackground : defaultSettings.captionBackground;
+    document.querySelectorAll('.captions').forEach(el => {
+        el.dataset.size = size;
+        el.dataset.background = background;
+    });
+}
+
+/**
+ * Plays one of the movie's catalog `audio` sources (-1: its own `src`) from
+ * the current position. It stays the same movie for history and statistics.
+ */
+function selectAudioSource(index) {
+    const movie = mediaTracks.movie;
+    if (!movie || !activePlayer || index === mediaTracks.audio) return;
+
+    const source = index >= 0 ? movie.audio[index] : movie;
+    const position = activePlayer.getPosition() || 0;
+    mediaTracks.audio = index;
+    loadPlayer({ ...movie, src: source.src, type: source.type }, position);
+}
+
+function getStreamAudioTracks() {
+    try {
+        return activePlayer ? activePlayer.getAudioTracks() : [];
+    } catch (e) {
+        return []; // the stream isn't ready yet
+    }
+}
+
+/**
+ * Shows the subtitles/audio button when the playing movie has a choice.
+ */
+function updateTracksButton() {
+    const button = document.getElementById('captions-btn');
+    if (!button) return;
+
+    const movie = mediaTracks.movie;
+    const hasChoice = Boolean(movie && (movie.subtitles || movie.audio || getStreamAudioTracks().length > 1));
+    button.classList.toggle('hidden', !hasChoice);
+    button.classList.toggle('text-primary', Boolean(mediaTracks.subtitle));
+    button.classList.toggle('text-gray-500', !mediaTracks.subtitle);
+}
+
+/**
+ * Subtitle and audio choices for the playing movie (the player's CC button).
+ */
+window.openTrackMenu = function() {
+    const movie = mediaTracks.movie;
+    if (!movie) return;
+
+    const t = getStrings();
+    const mark = active => (active ? '✓ ' : '');
+    const actions = [];
+
+    if (movie.subtitles) {
+        actions.push({ label: `${mark(!mediaTracks.subtitle)}${t.subtitlesOff || 'Subtitles off'}`, onClick: () => selectSubtitle(null) });
+        movie.subtitles.forEach(track => actions.push({
+            label: `${mark(mediaTracks.subtitle === track)}💬 ${getTrackLabel(track)}`,
+            onClick: () => selectSubtitle(track),
+        }));
+    }
+
+    if (movie.audio) {
+        actions.push({ label: `${mark(mediaTracks.audio < 0)}🔊 ${t.audioOriginal || 'Original audio'}`, onClick: () => selectAudioSource(-1) });
+        movie.audio.forEach((track, index) => actions.push({
+            label: `${mark(mediaTracks.audio === index)}🔊 ${getTrackLabel(track)}`,
+            onClick: () => selectAudioSource(index),
+        }));
+    }
+
+    // Audio renditions inside an HLS/DASH stream
+    const streamTracks = getStreamAudioTracks();
+    if (streamTracks.length > 1) {
+        streamTracks.forEach(track => actions.push({
+            label: `${mark(track.enabled)}🔊 ${track.label || (track.language && getTrackLanguageName(normalizeTrackLanguage(track.language) || track.language)) || translate('audioTrackNumber', { number: track.id + 1 }, 'Track {number}')}`,
+            onClick: () => activePlayer.setAudioTrack(track.id),
+        }));
+    }
+
+    actions.push({ label: t.cancel || 'Cancel' });
+    showActionDialog(t.tracksButton || 'Subtitles and audio', movie.title, actions);
+}
+
+/**
+ * Subtitle languages worth offering as a default: the app's languages plus
+ * every language the catalog has subtitles in.
+ */
+function getCaptionLanguages() {
+    const codes = new Set(Object.keys(localeIndex.languages));
+    movieById.forEach(movie => {
+        (movie.subtitles || []).forEach(track => codes.add(track.language));
+    });
+    if (currentSettings.captionLanguage) codes.add(currentSettings.captionLanguage);
+    return Array.from(codes);
+}
+
+window.setCaptionSetting = function(key, value) {
+    const allowed = { captionSize: CAPTION_SIZES, captionBackground: CAPTION_BACKGROUNDS }[key];
+    if (allowed ? !allowed.includes(value) : key !== 'captionLanguage') return;
+
+    currentSettings[key] = key === 'captionLanguage' ? normalizeTrackLanguage(value) : value;
+    saveSettings();
+    applyCaptionStyle();
+
+    // A new default language also applies to the movie that is playing
+    if (key === 'captionLanguage' && mediaTracks.movie && mediaTracks.movie.subtitles) {
+        selectSubtitle(findSubtitle(mediaTracks.movie, currentSettings.captionLanguage));
+    }
+}
+
+/**
+ * Profile card: default subtitle language, size and background, with a preview.
+ */
+function renderCaptionSettingsCard(t) {
+    const select = (key, options) => `
+        <select onchange="setCaptionSetting('${key}', this.value)" class="bg-gray-700 text-white p-2 rounded">
+            ${options.map(([value, label]) => `<option value="${escapeHtml(value)}" ${currentSettings[key] === value ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+        </select>
+    `;
+    const languages = [['', t.captionsOff || 'Off'], ...getCaptionLanguages().map(code => [code, getTrackLanguageName(code)])];
+    const sizes = CAPTION_SIZES.map(size => [size, t['captionSize' + size.charAt(0).toUpperCase() + size.slice(1)] || size]);
+    const backgrounds = CAPTION_BACKGROUNDS.map(background => [background, t['captionBackground' + background.charAt(0).toUpperCase() + background.slice(1)] || background]);
+
+    return `
+        <div class="p-4 bg-gray-800 rounded-lg shadow-lg">
+            <h3 class="text-xl font-semibold mb-3">${t.captionsTitle || 'Subtitles'}</h3>
+
+            <div class="flex justify-between items-center mb-4">
+                <p>${t.captionLanguageLabel || 'Language:'}</p>
+                ${select('captionLanguage', languages)}
+            </div>
+
+            <div class="flex justify-between items-center mb-4">
+                <p>${t.captionSizeLabel || 'Size:'}</p>
+                ${select('captionSize', sizes)}
+            </div>
+
+            <div class="flex justify-between items-center mb-4">
+                <p>${t.captionBackgroundLabel || 'Background:'}</p>
+                ${select('captionBackground', backgrounds)}
+            </div>
+
+            <div class="captions rounded py-6 px-2 bg-gradient-to-br from-gray-500 to-gray-900" data-size="${escapeHtml(currentSettings.captionSize)}" data-background="${escapeHtml(currentSettings.captionBackground)}" aria-hidden="true">
+                <span>${t.captionPreview || 'This is how subtitles will look.'}</span>
+            </div>
+        </div>
+    `;
+}
+
+
+// -------------------------------------------------------------------------
+// 25. THEMES (CSS Variables / System Preference / Accent Colors)
+// -------------------------------------------------------------------------
+
+// Palettes are `.theme-<name>` variable sets in style.css; 'auto' picks one from the system.
+const THEMES = ['dark', 'light', 'auto', 'contrast'];
+// Color settings and the CSS variables they override: [color, text drawn on it]
+const THEME_COLOR_VARIABLES = {
+    accentColor: ['--color-primary', '--color-on-primary'],
+    activeColor: ['--color-active', '--color-on-active'],
+};
+
+const prefersLightQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+const prefersContrastQuery = window.matchMedia ? window.matchMedia('(prefers-contrast: more)') : null;
+// The active palette's own colors (hex) by color setting, for the pickers' reset
+let themeDefaultColors = {};
+
+/**
+ * The palette to show: the chosen theme, or for 'auto' high contrast when
+ * the system asks for more contrast, else light or dark like the system.
+ */
+function resolveTheme() {
+    const theme = THEMES.includes(currentSettings.theme) ? currentSettings.theme : defaultSettings.theme;
+    if (theme !== 'auto') return theme;
+    if (prefersContrastQuery && prefersContrastQuery.matches) return 'contrast';
+    return prefersLightQuery && prefersLightQuery.matches ? 'light' : 'dark';
+}
+
+/**
+ * Puts the theme class on <body> and the user's colors on top of it. Only
+ * CSS variables change, so rendered views repaint by themselves.
+ */
+function applyTheme() {
+    const body = document.getElementById('body-root');
+    const theme = resolveTheme();
+    THEMES.forEach(name => body.classList.toggle(`theme-${name}`, name === theme));
+
+    // The palette's own colors are read before the user's go on top
+    Object.values(THEME_COLOR_VARIABLES).flat().forEach(name => body.style.removeProperty(name));
+    const style = getComputedStyle(body);
+    themeDefaultColors = {};
+    Object.entries(THEME_COLOR_VARIABLES).forEach(([key, [colorVar, onColorVar]]) => {
+        themeDefaultColors[key] = rgbTripletToHex(style.getPropertyValue(colorVar));
+
+        const rgb = hexToRgb(currentSettings[key]);
+        if (!rgb) return;
+        body.style.setProperty(colorVar, rgb.join(' '));
+        body.style.setProperty(onColorVar, getRelativeLuminance(rgb) > 0.179 ? '0 0 0' : '255 255 255');
+    });
+
+    // Browser UI (address bar, installed app title bar) matches the header
+    const meta = document.querySelector('meta[name="theme-color"]');
+    const header = style.getPropertyValue('--color-header').trim();
+    if (meta && header) meta.setAttribute('content', `rgb(${header})`);
+
+    Object.keys(THEME_COLOR_VARIABLES).forEach(key => {
+        const input = document.getElementById(`${key}-input`);
+        if (input) input.value = getThemeColor(key);
+    });
+}
+
+/**
+ * Re-applies 'auto' when the system switches between light and dark (or
+ * contrast) while the app is open.
+ */
+function watchSystemTheme() {
+    [prefersLightQuery, prefersContrastQuery].forEach(query => {
+        if (!query) return;
+        const onChange = () => {
+            if (currentSettings.theme === 'auto') applyTheme();
+        };
+        // Older Safari and TV browsers only have addListener
+        if (query.addEventListener) {
+            query.addEventListener('change', onChange);
+        } else if (query.addListener) {
+            query.addListener(onChange);
+        }
+    });
+}
+
+/**
+ * The color a picker shows: the user's own, else the palette's.
+ */
+function getThemeColor(key) {
+    return hexToRgb(currentSettings[key]) ? currentSettings[key].toLowerCase() : (themeDefaultColors[key] || '#000000');
+}
+
+/**
+ * Saves a custom accent ('accentColor') or active chip ('activeColor')
+ * color; '' goes back to the theme's own.
+ */
+window.setThemeColor = function(key, value) {
+    if (!THEME_COLOR_VARIABLES[key] || (value && !hexToRgb(value))) return;
+    currentSettings[key] = value ? value.toLowerCase() : '';
+    saveSettings();
+    applyTheme();
+}
+
+function hexToRgb(hex) {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(typeof hex === 'string' ? hex : '');
+    return match ? match.slice(1).map(part => parseInt(part, 16)) : null;
+}
+
+function rgbTripletToHex(triplet) {
+    const parts = String(triplet).trim().split(/\s+/).map(Number);
+    if (parts.length !== 3 || parts.some(part => !Number.isFinite(part))) return '';
+    return '#' + parts.map(part => Math.round(part).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * WCAG relative luminance (0 = black, 1 = white); above ~0.18 black text
+ * reads better than white.
+ */
+function getRelativeLuminance(rgb) {
+    const [r, g, b] = rgb.map(value => {
+        const channel = value / 255;
+        return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function renderThemeOptions(t) {
+    const labels = {
+        dark: t.themeDark || 'Dark',
+        light: t.themeLight || 'Light',
+        auto: t.themeAuto || 'Automatic (system)',
+        contrast: t.themeContrast || 'High contrast',
+    };
+    return THEMES.map(theme => `
+        <option value="${theme}" ${currentSettings.theme === theme ? 'selected' : ''}>${labels[theme]}</option>
+    `).join('');
+}
+
+/**
+ * A color picker with a reset button for one of THEME_COLOR_VARIABLES.
+ */
+function renderThemeColorRow(t, key, label) {
+    return `
+        <div class="flex justify-between items-center mb-4">
+            <label for="${key}-input">${label}</label>
+            <div class="flex items-center space-x-2">
+                <input type="color" id="${key}-input" value="${getThemeColor(key)}" onchange="setThemeColor('${key}', this.value)" class="w-10 h-8 p-0 bg-transparent border-0 rounded cursor-pointer">
+                <button onclick="setThemeColor('${key}', '')" class="bg-gray-700 hover:bg-gray-600 text-white text-sm py-1 px-3 rounded transition duration-200">${t.themeColorReset || 'Reset'}</button>
+            </div>
+        </div>
+    `;
 }
 
 
 // Initial application load 
 window.addEventListener('DOMContentLoaded', () => {
+    registerServiceWorker();
+    initKeyboardNavigation();
+    watchSystemTheme();
     window.initializeApp();
 });
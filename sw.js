@@ -0,0 +1,223 @@
+/**
+ * WY MovieBox - Service Worker (offline support)
+ * - **App Shell:** index.html, script.js, style.css, icons and the default
+ *   locales are precached; other locale files are cached on first use.
+ * - **Catalog:** Catalog JSON (the manifest and every source, including remote
+ *   ones) is served from the last good copy and refreshed in the background;
+ *   open pages are told when a newer catalog was stored.
+ * - **Thumbnails / CDN:** Cached at runtime so the grid still renders offline.
+ * - **Media / subtitles:** Video files, stream segments and subtitle tracks
+ *   always come from the network.
+ */
+
+// Bump with every change to a shell file, together with the ?v= of script.js
+// and style.css in index.html (so a new page never gets an old script).
+const ASSET_VERSION = '3.3-19';
+const CACHE_VERSION = `v${ASSET_VERSION}`;
+const SHELL_CACHE = `wy-shell-${CACHE_VERSION}`;
+const CATALOG_CACHE = 'wy-catalog';
+const IMAGE_CACHE = 'wy-images';
+const CDN_CACHE = 'wy-cdn';
+const IMAGE_CACHE_LIMIT = 300;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    `script.js?v=${ASSET_VERSION}`,
+    `style.css?v=${ASSET_VERSION}`,
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'locales/index.json',
+    'locales/my.json',
+    'locales/en.json',
+];
+
+// Paths of the shell files, without the ?v=; only these use the shell cache
+const SHELL_PATHS = new Set(SHELL_FILES.map(file => new URL(file, self.location).pathname));
+// Self-hosted thumbnails go to the image cache like remote ones
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|avif|svg)$/i;
+
+const IMAGE_HOSTS = ['img.youtube.com', 'i.ytimg.com', 'placehold.co'];
+const CDN_HOSTS = ['cdn.tailwindcss.com'];
+
+
+// -------------------------------------------------------------------------
+// 1. INSTALL / ACTIVATE
+// -------------------------------------------------------------------------
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    const keep = [SHELL_CACHE, CATALOG_CACHE, IMAGE_CACHE, CDN_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+
+// -------------------------------------------------------------------------
+// 2. FETCH ROUTING
+// -------------------------------------------------------------------------
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+    } else if (url.origin === self.location.origin && url.pathname.includes('/locales/')) {
+        // Locale files ship with the app, so they follow the shell's versioning
+        event.respondWith(shellCacheFirst(request));
+    } else if (url.pathname.endsWith('.json')) {
+        event.respondWith(catalogStaleWhileRevalidate(event, request));
+    } else if (url.origin === self.location.origin && SHELL_PATHS.has(url.pathname)) {
+        event.respondWith(shellCacheFirst(request));
+    } else if (IMAGE_HOSTS.includes(url.hostname) || (url.origin === self.location.origin && IMAGE_EXTENSIONS.test(url.pathname))) {
+        event.respondWith(imageCacheFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cdnStaleWhileRevalidate(event, request));
+    }
+    // Everything else (YouTube players, webviews, media and subtitle files) goes straight to the network
+});
+
+/**
+ * Pages: always try the network so deploys show up, fall back to the cached shell.
+ */
+async function networkFirstPage(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            cache.put('index.html', response.clone());
+        }
+        return response;
+    } catch (e) {
+        const cached = await caches.match('index.html', { ignoreSearch: true });
+        return cached || Response.error();
+    }
+}
+
+/**
+ * Shell assets are versioned with ?v=..., so a page only gets the script and
+ * stylesheet it was deployed with. Offline, any cached version beats none.
+ * Only complete (200) responses are stored.
+ */
+async function shellCacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.status === 200) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(request, response.clone()).catch(() => { /* storage full: serve it uncached */ });
+        }
+        return response;
+    } catch (e) {
+        const fallback = await caches.match(request, { ignoreSearch: true });
+        if (fallback) return fallback;
+        throw e;
+    }
+}
+
+/**
+ * Catalog: answer from the last good copy immediately (works offline and on
+ * slow connections) while fetching a fresh one. When the fresh copy differs,
+ * it replaces the cached one and open pages get a `catalog-updated` message.
+ */
+async function catalogStaleWhileRevalidate(event, request) {
+    const cache = await caches.open(CATALOG_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(request).then(async response => {
+        if (!response.ok || !(await isGoodCatalog(response.clone()))) return response;
+
+        const freshText = await response.clone().text();
+        const cachedText = cached ? await cached.clone().text() : null;
+        if (freshText !== cachedText) {
+            await cache.put(request, response.clone());
+            if (cached) await notifyClients({ type: 'catalog-updated', url: request.url });
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => { /* offline: keep serving the cached copy */ }));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Only responses that parse as a JSON object are kept as the last good copy.
+ */
+async function isGoodCatalog(response) {
+    try {
+        const data = await response.json();
+        return data !== null && typeof data === 'object';
+    } catch (e) {
+        return false;
+    }
+}
+
+async function imageCacheFirst(request) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        // Cross-origin <img> requests are opaque (status 0) but still usable
+        if (response.status === 200 || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+            trimCache(IMAGE_CACHE, IMAGE_CACHE_LIMIT);
+        }
+        return response;
+    } catch (e) {
+        return Response.error();
+    }
+}
+
+async function cdnStaleWhileRevalidate(event, request) {
+    const cache = await caches.open(CDN_CACHE);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Drops the oldest entries once a runtime cache grows past `limit`.
+ */
+async function trimCache(name, limit) {
+    const cache = await caches.open(name);
+    const keys = await cache.keys();
+    for (let i = 0; i < keys.length - limit; i++) {
+        await cache.delete(keys[i]);
+    }
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}